@@ -0,0 +1,55 @@
+// Server configuration, read once from the environment at startup.
+// Model credentials live here and never reach the browser.
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { DEFAULT_TIERS } from './quotas.mjs';
+
+const appRoot = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+// Models clients may pick per request (prompt profiles); the default model is always allowed
+const parseModels = (list, defaultModel) => [...new Set([defaultModel, ...(list || '').split(',').map(model => model.trim()).filter(Boolean)])];
+
+// QUOTA_TIERS only needs the limits it changes, e.g. {"free":{"tokensPerDay":1000000}}
+const parseTiers = (json) => {
+    if (!json) return DEFAULT_TIERS;
+    const overrides = JSON.parse(json);
+    const tiers = { ...DEFAULT_TIERS };
+    for (const [name, limits] of Object.entries(overrides)) {
+        tiers[name] = { label: name, ...DEFAULT_TIERS[name], ...limits };
+    }
+    return tiers;
+};
+
+export const loadConfig = (env = process.env) => ({
+    port: Number(env.PORT) || 8787,
+    // Origin allowed to call the API from another host (e.g. a static dev server). Empty means same-origin only.
+    allowedOrigin: env.ALLOWED_ORIGIN || '',
+    maxBodyBytes: Number(env.MAX_BODY_BYTES) || 10 * 1024 * 1024,
+    provider: env.MODEL_PROVIDER || 'gemini',
+    gemini: {
+        apiKey: env.GEMINI_API_KEY || '',
+        model: env.GEMINI_MODEL || 'gemini-2.0-flash',
+        models: parseModels(env.GEMINI_MODELS, env.GEMINI_MODEL || 'gemini-2.0-flash'),
+        baseUrl: env.GEMINI_BASE_URL || 'https://generativelanguage.googleapis.com/v1beta',
+    },
+    openai: {
+        apiKey: env.OPENAI_API_KEY || '',
+        model: env.OPENAI_MODEL || 'gpt-4o-mini',
+        models: parseModels(env.OPENAI_MODELS, env.OPENAI_MODEL || 'gpt-4o-mini'),
+        // Any OpenAI-compatible server works here (llama.cpp, vLLM, Ollama, LM Studio...)
+        baseUrl: env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+    },
+    mock: {
+        reply: env.MOCK_REPLY || '',
+    },
+    // Verifies the Firebase ID tokens the app sends; without it every caller is a guest
+    firebaseProjectId: env.FIREBASE_PROJECT_ID || '',
+    authEmulatorHost: env.FIREBASE_AUTH_EMULATOR_HOST || '',
+    // Local development; required for FIREBASE_AUTH_EMULATOR_HOST unless the project is a "demo-" one
+    development: env.NODE_ENV === 'development',
+    // Take the client address from X-Forwarded-For (only behind a reverse proxy you control)
+    trustProxy: env.TRUST_PROXY === '1',
+    // Empty keeps usage in memory only. Dot folders are never served as static files.
+    usageFile: env.USAGE_FILE ?? path.join(appRoot, '.data', 'usage.json'),
+    tiers: parseTiers(env.QUOTA_TIERS),
+});
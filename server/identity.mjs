@@ -0,0 +1,99 @@
+// Works out who is calling the API, for quotas and usage accounting.
+//
+// With FIREBASE_PROJECT_ID set, the app sends the user's Firebase ID token as
+// `Authorization: Bearer <token>`. The token is verified against Google's public keys (the Auth
+// emulator issues unsigned tokens, which are accepted when FIREBASE_AUTH_EMULATOR_HOST is set; that
+// is refused outside development, see server/README.md).
+// Requests without a token, e.g. from the app in demo mode, are guests identified by their address.
+// So are anonymous Firebase users: signing out creates a new one, which must not reset the quota.
+//
+// Identity: { userId, tier } where userId is "uid:<firebase uid>" or "ip:<address>", and tier is
+// "guest" for anonymous users, "free" for signed-in users, or the user's `tier` custom claim.
+import crypto from 'node:crypto';
+
+const CERTS_URL = 'https://www.googleapis.com/robot/v1/metadata/x509/securetoken@system.gserviceaccount.com';
+
+const unauthorized = (message) => {
+    const error = new Error(message);
+    error.status = 401;
+    return error;
+};
+
+const decodeSegment = (segment) => JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+
+// The first address in X-Forwarded-For is the client, but only a trusted proxy may set it
+const clientAddress = (req, trustProxy) => {
+    const forwarded = trustProxy && String(req.headers['x-forwarded-for'] || '').split(',')[0].trim();
+    return forwarded || req.socket.remoteAddress || 'unknown';
+};
+
+// Unsigned emulator tokens let anyone claim any user and tier, so they are only accepted for the
+// emulators' demo projects or when NODE_ENV=development
+const checkEmulatorSetting = ({ projectId, authEmulatorHost, development }) => {
+    if (authEmulatorHost && projectId && !projectId.startsWith('demo-') && !development) {
+        throw new Error(`FIREBASE_AUTH_EMULATOR_HOST makes the server accept unsigned ID tokens, which is only allowed for a "demo-" project or with NODE_ENV=development (project "${projectId}"). Never set it in production.`);
+    }
+};
+
+export const createIdentityResolver = ({ projectId, authEmulatorHost, trustProxy, development = false }) => {
+    checkEmulatorSetting({ projectId, authEmulatorHost, development });
+    let certs = null;
+    let certsExpireAt = 0;
+
+    // Google rotates the signing keys; the response says how long to cache them
+    const loadCerts = async () => {
+        if (certs && Date.now() < certsExpireAt) return certs;
+        const response = await fetch(CERTS_URL);
+        if (!response.ok) {
+            throw new Error(`Could not fetch Firebase public keys: ${response.status}`);
+        }
+        const maxAge = Number(/max-age=(\d+)/.exec(response.headers.get('cache-control') || '')?.[1]) || 3600;
+        certs = await response.json();
+        certsExpireAt = Date.now() + maxAge * 1000;
+        return certs;
+    };
+
+    const verifyIdToken = async (token) => {
+        const [headerSegment, payloadSegment, signature] = token.split('.');
+        let header;
+        let payload;
+        try {
+            header = decodeSegment(headerSegment);
+            payload = decodeSegment(payloadSegment);
+        } catch {
+            throw unauthorized("Malformed ID token.");
+        }
+
+        if (!authEmulatorHost) {
+            const cert = header.alg === 'RS256' && (await loadCerts())[header.kid];
+            if (!cert || !signature) {
+                throw unauthorized("ID token is not signed by Firebase.");
+            }
+            const isValid = crypto.createVerify('RSA-SHA256').update(`${headerSegment}.${payloadSegment}`).verify(cert, signature, 'base64url');
+            if (!isValid) {
+                throw unauthorized("ID token signature is invalid.");
+            }
+        }
+
+        const now = Date.now() / 1000;
+        if (payload.aud !== projectId || payload.iss !== `https://securetoken.google.com/${projectId}`) {
+            throw unauthorized("ID token was issued for another project.");
+        }
+        if (!payload.sub || !(payload.exp > now) || payload.iat > now + 300) {
+            throw unauthorized("ID token has expired. Reload the page to sign in again.");
+        }
+        return payload;
+    };
+
+    return async (req) => {
+        const token = /^Bearer (.+)$/.exec(req.headers.authorization || '')?.[1];
+        if (token && projectId) {
+            const claims = await verifyIdToken(token);
+            const isAnonymous = claims.firebase?.sign_in_provider === 'anonymous';
+            if (!isAnonymous || claims.tier) {
+                return { userId: `uid:${claims.sub}`, tier: claims.tier || 'free' };
+            }
+        }
+        return { userId: `ip:${clientAddress(req, trustProxy)}`, tier: 'guest' };
+    };
+};
@@ -0,0 +1,52 @@
+import { readSseData } from '../sse.mjs';
+
+const candidateText = (result) => result.candidates?.[0]?.content?.parts?.map(part => part.text || '').join('') || '';
+
+const toUsage = (usageMetadata) => usageMetadata ? {
+    promptTokens: usageMetadata.promptTokenCount || 0,
+    completionTokens: usageMetadata.candidatesTokenCount || 0,
+} : null;
+
+// Google Gemini provider. The request body is already in Gemini's `contents` shape,
+// so this adapter only adds the credentials and unwraps the reply.
+export const createGeminiProvider = ({ apiKey, model, models, baseUrl }) => {
+    if (!apiKey) {
+        throw new Error("GEMINI_API_KEY is not set.");
+    }
+
+    const request = async (method, { contents, systemInstruction, model: requestedModel, generationConfig, signal }) => {
+        const response = await fetch(`${baseUrl}/models/${requestedModel || model}:${method}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'x-goog-api-key': apiKey },
+            body: JSON.stringify({ contents, systemInstruction, generationConfig }),
+            signal,
+        });
+
+        if (!response.ok) {
+            throw new Error(`Gemini API error ${response.status}: ${await response.text()}`);
+        }
+        return response;
+    };
+
+    const generate = async (options) => {
+        const result = await (await request('generateContent', options)).json();
+        return { text: candidateText(result), usage: toUsage(result.usageMetadata) };
+    };
+
+    // Every chunk carries the usage so far; the last one has the totals
+    async function* stream({ onUsage = () => {}, ...options }) {
+        const response = await request('streamGenerateContent?alt=sse', options);
+        for await (const data of readSseData(response.body)) {
+            const result = JSON.parse(data);
+            if (result.usageMetadata) {
+                onUsage(toUsage(result.usageMetadata));
+            }
+            const text = candidateText(result);
+            if (text) {
+                yield text;
+            }
+        }
+    }
+
+    return { name: 'gemini', model, models, generate, stream };
+};
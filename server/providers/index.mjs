@@ -0,0 +1,27 @@
+import { createGeminiProvider } from './gemini.mjs';
+import { createOpenAIProvider } from './openai.mjs';
+import { createMockProvider } from './mock.mjs';
+
+// Every provider exposes the same shape:
+//   { name, model, models,
+//     generate({ contents, systemInstruction, model, generationConfig, signal }) => Promise<{ text, usage }>,
+//     stream({ contents, systemInstruction, model, generationConfig, signal, onUsage }) => AsyncIterable<string> }
+// where `contents` uses Gemini's [{ role: 'user' | 'model', parts: [{ text }] }] format,
+// `systemInstruction` is Gemini's { parts: [{ text }] } and `generationConfig` is
+// { temperature, topP, maxOutputTokens }, all optional. `model` defaults to the configured model;
+// `models` lists the ones a request may ask for. Usage is { promptTokens, completionTokens }, or
+// null when the model does not report it. `onUsage(usage)` is called whenever a streamed reply
+// reports usage.
+const factories = {
+    gemini: (config) => createGeminiProvider(config.gemini),
+    openai: (config) => createOpenAIProvider(config.openai),
+    mock: (config) => createMockProvider(config.mock),
+};
+
+export const createProvider = (config) => {
+    const factory = factories[config.provider];
+    if (!factory) {
+        throw new Error(`Unknown MODEL_PROVIDER "${config.provider}". Expected one of: ${Object.keys(factories).join(', ')}.`);
+    }
+    return factory(config);
+};
@@ -0,0 +1,30 @@
+import { estimateUsage } from '../usage.mjs';
+
+// Offline provider for development and tests. Never touches the network.
+export const createMockProvider = ({ reply }) => {
+    const generate = async ({ contents }) => {
+        if (reply) {
+            return { text: reply };
+        }
+
+        const lastUserText = [...contents].reverse().find(content => content.role === 'user')?.parts?.[0]?.text || '';
+        return {
+            text: `## Mock Response\nThis reply was generated by the mock provider.\n\n\`\`\`lua\nengine.log(${JSON.stringify(lastUserText.slice(0, 80))}, 255, 255, 255, 255)\n\`\`\``,
+        };
+    };
+
+    // Replays the same reply a few words at a time so streaming can be exercised offline
+    async function* stream({ contents, systemInstruction, signal, onUsage = () => {} }) {
+        const { text } = await generate({ contents });
+        for (const piece of text.match(/\s*\S+/g) || []) {
+            if (signal?.aborted) {
+                return;
+            }
+            await new Promise(resolve => setTimeout(resolve, 15));
+            yield piece;
+        }
+        onUsage(estimateUsage({ contents, systemInstruction }, text));
+    }
+
+    return { name: 'mock', model: 'mock', models: ['mock'], generate, stream };
+};
@@ -0,0 +1,77 @@
+import { readSseData } from '../sse.mjs';
+
+// OpenAI-compatible chat completions provider. Works with the OpenAI API and with
+// self-hosted servers that expose the same `/chat/completions` endpoint.
+const joinParts = (parts = []) => parts.map(part => part.text || '').join('\n');
+
+const toChatMessages = (contents, systemInstruction) => [
+    ...(systemInstruction ? [{ role: 'system', content: joinParts(systemInstruction.parts) }] : []),
+    ...contents.map(content => ({
+        role: content.role === 'model' ? 'assistant' : 'user',
+        content: joinParts(content.parts),
+    })),
+];
+
+// Gemini's generationConfig names, as chat completions parameters
+const toSamplingParameters = ({ temperature, topP, maxOutputTokens } = {}) => ({
+    temperature,
+    top_p: topP,
+    max_tokens: maxOutputTokens,
+});
+
+const toUsage = (usage) => usage ? {
+    promptTokens: usage.prompt_tokens || 0,
+    completionTokens: usage.completion_tokens || 0,
+} : null;
+
+export const createOpenAIProvider = ({ apiKey, model, models, baseUrl }) => {
+    const request = async ({ contents, systemInstruction, model: requestedModel, generationConfig, signal }, stream) => {
+        const headers = { 'Content-Type': 'application/json' };
+        if (apiKey) {
+            headers.Authorization = `Bearer ${apiKey}`; // Local servers usually don't need a key
+        }
+
+        const response = await fetch(`${baseUrl.replace(/\/$/, '')}/chat/completions`, {
+            method: 'POST',
+            headers,
+            // Streamed replies only report usage when asked to, in a last chunk without choices
+            body: JSON.stringify({
+                model: requestedModel || model,
+                messages: toChatMessages(contents, systemInstruction),
+                ...toSamplingParameters(generationConfig),
+                stream,
+                ...(stream ? { stream_options: { include_usage: true } } : {}),
+            }),
+            signal,
+        });
+
+        if (!response.ok) {
+            throw new Error(`OpenAI-compatible API error ${response.status}: ${await response.text()}`);
+        }
+        return response;
+    };
+
+    const generate = async (options) => {
+        const result = await (await request(options, false)).json();
+        return { text: result.choices?.[0]?.message?.content || '', usage: toUsage(result.usage) };
+    };
+
+    async function* stream({ onUsage = () => {}, ...options }) {
+        const response = await request(options, true);
+        for await (const data of readSseData(response.body)) {
+            if (data === '[DONE]') {
+                return;
+            }
+            const chunk = JSON.parse(data);
+            if (chunk.usage) {
+                onUsage(toUsage(chunk.usage));
+            }
+            const text = chunk.choices?.[0]?.delta?.content;
+            if (text) {
+                yield text;
+            }
+        }
+    }
+
+    return { name: 'openai', model, models, generate, stream };
+};
@@ -0,0 +1,292 @@
+// Backend for the chatbot: holds the model credentials, forwards chat requests to the
+// configured provider and serves the static app files.
+//
+// Run with `node server/proxy.mjs`, then open http://localhost:8787. See server/README.md.
+//
+// Environment:
+//   PORT               Port to listen on (default 8787)
+//   MODEL_PROVIDER     gemini | openai | mock (default gemini)
+//   GEMINI_API_KEY     Required for the gemini provider
+//   GEMINI_MODEL       Default gemini-2.0-flash
+//   GEMINI_MODELS      Comma-separated extra models prompt profiles may choose
+//   OPENAI_API_KEY     Optional for self-hosted OpenAI-compatible servers
+//   OPENAI_BASE_URL    Default https://api.openai.com/v1
+//   OPENAI_MODEL       Default gpt-4o-mini
+//   OPENAI_MODELS      Comma-separated extra models prompt profiles may choose
+//   MOCK_REPLY         Fixed reply text for the mock provider
+//   ALLOWED_ORIGIN     Enables CORS for one origin when the app is served elsewhere
+//   MAX_BODY_BYTES     Request size limit (default 10 MiB)
+//   FIREBASE_PROJECT_ID          Verify users' Firebase ID tokens; without it everyone is a guest
+//   FIREBASE_AUTH_EMULATOR_HOST  Accept tokens from the Auth emulator (e.g. 127.0.0.1:9099). Development
+//                                only: refused unless the project is a "demo-" one or NODE_ENV=development
+//   NODE_ENV           development allows FIREBASE_AUTH_EMULATOR_HOST with a real project id
+//   TRUST_PROXY        Set to 1 behind a reverse proxy so guests are told apart by X-Forwarded-For
+//   USAGE_FILE         Where per-user usage is saved (default .data/usage.json, empty for memory only)
+//   QUOTA_TIERS        JSON overrides for the tiers in server/quotas.mjs
+import http from 'node:http';
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { loadConfig } from './config.mjs';
+import { createProvider } from './providers/index.mjs';
+import { writeSseEvent } from './sse.mjs';
+import { createIdentityResolver } from './identity.mjs';
+import { createUsageLedger, estimateUsage } from './usage.mjs';
+import { createQuotaGuard } from './quotas.mjs';
+
+const staticRoot = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+const contentTypes = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.mjs': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.txt': 'text/plain; charset=utf-8',
+    '.lua': 'text/plain; charset=utf-8',
+    '.md': 'text/markdown; charset=utf-8',
+};
+
+const sendJson = (res, status, body) => {
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+    res.end(JSON.stringify(body));
+};
+
+const readJsonBody = (req, maxBytes) => new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on('data', (chunk) => {
+        size += chunk.length;
+        if (size > maxBytes) {
+            const error = new Error("Request body is too large.");
+            error.status = 413;
+            reject(error);
+            req.destroy();
+            return;
+        }
+        chunks.push(chunk);
+    });
+    req.on('end', () => {
+        try {
+            resolve(JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}'));
+        } catch {
+            const error = new Error("Request body is not valid JSON.");
+            error.status = 400;
+            reject(error);
+        }
+    });
+    req.on('error', reject);
+});
+
+const isValidContents = (contents) => Array.isArray(contents) && contents.length > 0 &&
+    contents.every(content => (content.role === 'user' || content.role === 'model') && Array.isArray(content.parts));
+
+const badRequest = (message) => {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+};
+
+// Accepted range of every generation parameter a request may set
+const generationLimits = {
+    temperature: { min: 0, max: 2 },
+    topP: { min: 0, max: 1 },
+    maxOutputTokens: { min: 1, max: 65536, integer: true },
+};
+
+// Checks a chat request body and returns what is passed on to the provider:
+// { contents, systemInstruction?, model?, generationConfig? }
+const readChatRequest = (body, provider) => {
+    if (!isValidContents(body.contents)) {
+        throw badRequest("Expected a non-empty `contents` array.");
+    }
+    const request = { contents: body.contents };
+
+    if (body.systemInstruction) {
+        if (!Array.isArray(body.systemInstruction.parts)) {
+            throw badRequest("`systemInstruction` must look like { parts: [{ text }] }.");
+        }
+        request.systemInstruction = { parts: body.systemInstruction.parts };
+    }
+
+    if (body.model) {
+        if (!provider.models.includes(body.model)) {
+            throw badRequest(`Model "${body.model}" is not available. Choose one of: ${provider.models.join(', ')}.`);
+        }
+        request.model = body.model;
+    }
+
+    if (body.generationConfig) {
+        request.generationConfig = {};
+        for (const [name, { min, max, integer }] of Object.entries(generationLimits)) {
+            const value = body.generationConfig[name];
+            if (value === undefined || value === null) continue;
+            if (typeof value !== 'number' || value < min || value > max || (integer && !Number.isInteger(value))) {
+                throw badRequest(`\`generationConfig.${name}\` must be ${integer ? 'a whole number' : 'a number'} from ${min} to ${max}.`);
+            }
+            request.generationConfig[name] = value;
+        }
+    }
+    return request;
+};
+
+// What the browser may load: the page, its scripts and the knowledge files. Everything else in the
+// app folder (server sources, tests, node_modules, configuration) is never served.
+const PUBLIC_FILES = new Set(['index.html', 'chatbot.js', 'knowledge.json', 'Perception.txt']);
+const PUBLIC_FOLDERS = ['src/', 'Examples/'];
+
+// Files knowledge.json lists are public too, wherever they are in the folder
+const knowledgeFiles = async () => {
+    try {
+        const { sources } = JSON.parse(await readFile(path.join(staticRoot, 'knowledge.json'), 'utf8'));
+        return sources.map(source => path.posix.normalize(String(source.path)));
+    } catch {
+        return [];
+    }
+};
+
+const isPublic = async (relativePath) => PUBLIC_FILES.has(relativePath)
+    || PUBLIC_FOLDERS.some(folder => relativePath.startsWith(folder))
+    || (await knowledgeFiles()).includes(relativePath);
+
+const serveStatic = async (req, res) => {
+    let urlPath;
+    try {
+        urlPath = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+    } catch {
+        sendJson(res, 400, { error: { message: "Malformed URL." } });
+        return;
+    }
+    const relativePath = urlPath === '/' ? 'index.html' : urlPath.replace(/^\/+/, '');
+    const filePath = path.resolve(staticRoot, relativePath);
+
+    // Never serve anything outside the public files, and no dotfiles even inside them
+    const normalizedPath = path.relative(staticRoot, filePath).split(path.sep).join('/');
+    if (!filePath.startsWith(staticRoot + path.sep) || normalizedPath.split('/').some(segment => segment.startsWith('.')) || !(await isPublic(normalizedPath))) {
+        res.writeHead(404).end();
+        return;
+    }
+
+    try {
+        const data = await readFile(filePath);
+        res.writeHead(200, { 'Content-Type': contentTypes[path.extname(filePath)] || 'application/octet-stream' });
+        res.end(data);
+    } catch {
+        res.writeHead(404).end();
+    }
+};
+
+export const createServer = (config = loadConfig()) => {
+    const provider = createProvider(config);
+    const resolveIdentity = createIdentityResolver({ projectId: config.firebaseProjectId, authEmulatorHost: config.authEmulatorHost, trustProxy: config.trustProxy, development: config.development });
+    const quotas = createQuotaGuard({ tiers: config.tiers, ledger: createUsageLedger({ filePath: config.usageFile }) });
+
+    // Body: { contents, systemInstruction?, model?, generationConfig? } (see providers/index.mjs).
+    // Every model request is checked against the caller's quotas before it is sent.
+    // Replies report `usage: { promptTokens, completionTokens }`.
+    const handleChat = async (req, res) => {
+        const chatRequest = readChatRequest(await readJsonBody(req, config.maxBodyBytes), provider);
+        const identity = await resolveIdentity(req);
+        quotas.admit(identity);
+
+        const abortController = new AbortController();
+        res.on('close', () => abortController.abort()); // Client went away, stop paying for tokens
+
+        const result = await provider.generate({ ...chatRequest, signal: abortController.signal });
+        const usage = result.usage || estimateUsage(chatRequest, result.text);
+        quotas.record(identity, usage);
+        sendJson(res, 200, { text: result.text, provider: provider.name, model: chatRequest.model || provider.model, usage });
+    };
+
+    // Same request as /api/chat, answered as server-sent events:
+    //   data: { "text": "<chunk>" }          for every piece of the reply
+    //   event: done / data: { provider, model, usage }   once the reply is complete
+    //   event: error / data: { message }     if the provider fails mid-stream
+    // A stopped or failed reply still counts the tokens streamed so far.
+    const handleChatStream = async (req, res) => {
+        const chatRequest = readChatRequest(await readJsonBody(req, config.maxBodyBytes), provider);
+        const identity = await resolveIdentity(req);
+        quotas.admit(identity);
+
+        const abortController = new AbortController();
+        res.on('close', () => abortController.abort());
+
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream; charset=utf-8',
+            'Cache-Control': 'no-cache',
+            Connection: 'keep-alive',
+        });
+
+        let replyText = '';
+        let reportedUsage = null;
+        const onUsage = (usage) => {
+            reportedUsage = usage;
+        };
+        try {
+            for await (const text of provider.stream({ ...chatRequest, signal: abortController.signal, onUsage })) {
+                replyText += text;
+                writeSseEvent(res, null, { text });
+            }
+            const usage = reportedUsage || estimateUsage(chatRequest, replyText);
+            quotas.record(identity, usage);
+            writeSseEvent(res, 'done', { provider: provider.name, model: chatRequest.model || provider.model, usage });
+        } catch (error) {
+            quotas.record(identity, reportedUsage || estimateUsage(chatRequest, replyText));
+            if (!abortController.signal.aborted) {
+                console.error("Proxy stream error:", error);
+                writeSseEvent(res, 'error', { message: error.message });
+            }
+        }
+        res.end();
+    };
+
+    // The models a request may choose, for the prompt profile editor
+    const handleModels = (req, res) => {
+        sendJson(res, 200, { provider: provider.name, defaultModel: provider.model, models: provider.models });
+    };
+
+    // The caller's tier, limits and usage so far today
+    const handleUsage = async (req, res) => {
+        sendJson(res, 200, quotas.describe(await resolveIdentity(req)));
+    };
+
+    return http.createServer(async (req, res) => {
+        if (config.allowedOrigin) {
+            res.setHeader('Access-Control-Allow-Origin', config.allowedOrigin);
+            res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+            res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+        }
+
+        try {
+            if (req.method === 'OPTIONS') {
+                res.writeHead(204).end();
+            } else if (req.method === 'POST' && req.url === '/api/chat') {
+                await handleChat(req, res);
+            } else if (req.method === 'POST' && req.url === '/api/chat/stream') {
+                await handleChatStream(req, res);
+            } else if (req.method === 'GET' && req.url === '/api/usage') {
+                await handleUsage(req, res);
+            } else if (req.method === 'GET' && req.url === '/api/models') {
+                handleModels(req, res);
+            } else if (req.method === 'GET') {
+                await serveStatic(req, res);
+            } else {
+                sendJson(res, 404, { error: { message: "Not found." } });
+            }
+        } catch (error) {
+            console.error("Proxy error:", error);
+            if (!res.headersSent) {
+                // Only our own request errors carry a status; anything from the provider is a bad gateway
+                if (error.retryAfter) res.setHeader('Retry-After', String(error.retryAfter));
+                sendJson(res, error.status || 502, { error: { message: error.message, code: error.code, retryAfter: error.retryAfter } });
+            }
+        }
+    });
+};
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    const config = loadConfig();
+    createServer(config).listen(config.port, () => {
+        console.log(`Perception AI proxy listening on http://localhost:${config.port} (provider: ${config.provider})`);
+    });
+}
@@ -0,0 +1,88 @@
+// Usage tiers and their limits, enforced before a request reaches the model.
+//
+// Guests get the smallest tier and signed-in users "free"; a `tier` custom claim on the Firebase
+// user (set with the Admin SDK) moves anyone to another tier. QUOTA_TIERS (JSON, same shape as
+// DEFAULT_TIERS) changes limits or adds tiers. Daily quotas reset at midnight UTC.
+export const DEFAULT_TIERS = {
+    guest: { label: 'Guest', requestsPerMinute: 5, requestsPerDay: 50, tokensPerDay: 100000 },
+    free: { label: 'Free', requestsPerMinute: 10, requestsPerDay: 200, tokensPerDay: 500000 },
+    pro: { label: 'Pro', requestsPerMinute: 30, requestsPerDay: 2000, tokensPerDay: 5000000 },
+};
+
+const MINUTE_MS = 60 * 1000;
+
+// 429 errors carry a machine-readable code and how long to wait, for the client to show
+const quotaError = (code, message, retryAfterSeconds) => {
+    const error = new Error(message);
+    error.status = 429;
+    error.code = code;
+    error.retryAfter = Math.max(1, Math.ceil(retryAfterSeconds));
+    return error;
+};
+
+const nextUtcMidnight = (now) => {
+    const date = new Date(now);
+    return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 1);
+};
+
+const formatWait = (seconds) => {
+    const minutes = Math.ceil(seconds / 60);
+    return minutes >= 60 ? `${Math.floor(minutes / 60)} h ${minutes % 60} min` : `${minutes} min`;
+};
+
+export const createQuotaGuard = ({ tiers = DEFAULT_TIERS, ledger }) => {
+    const recentRequests = new Map(); // userId -> request times within the last minute
+
+    const tierOf = (identity) => {
+        const name = tiers[identity.tier] ? identity.tier : 'free';
+        return { name, ...tiers[name] };
+    };
+
+    const pruneRecent = (now) => {
+        for (const [userId, times] of recentRequests) {
+            if (times[times.length - 1] <= now - MINUTE_MS) recentRequests.delete(userId);
+        }
+    };
+
+    // Counts the request against the user's limits, or throws a 429 error if it is over one
+    const admit = (identity) => {
+        const tier = tierOf(identity);
+        const now = Date.now();
+        if (recentRequests.size > 10000) pruneRecent(now);
+
+        const recent = (recentRequests.get(identity.userId) || []).filter(time => time > now - MINUTE_MS);
+        if (recent.length >= tier.requestsPerMinute) {
+            const retryAfter = (recent[0] + MINUTE_MS - now) / 1000;
+            throw quotaError('rate_limited', `Too many requests: the ${tier.label} plan allows ${tier.requestsPerMinute} per minute. Try again in ${Math.ceil(retryAfter)} seconds.`, retryAfter);
+        }
+
+        const today = ledger.get(identity.userId);
+        const untilReset = (nextUtcMidnight(now) - now) / 1000;
+        if (today.requests >= tier.requestsPerDay) {
+            throw quotaError('quota_exceeded', `You have used all ${tier.requestsPerDay} requests of today's ${tier.label} quota. It resets at midnight UTC, in ${formatWait(untilReset)}.`, untilReset);
+        }
+        if (today.promptTokens + today.completionTokens >= tier.tokensPerDay) {
+            throw quotaError('quota_exceeded', `You have used all ${tier.tokensPerDay.toLocaleString('en-US')} tokens of today's ${tier.label} quota. It resets at midnight UTC, in ${formatWait(untilReset)}.`, untilReset);
+        }
+
+        recent.push(now);
+        recentRequests.set(identity.userId, recent);
+        ledger.addRequest(identity.userId);
+    };
+
+    const record = (identity, usage) => ledger.addTokens(identity.userId, usage);
+
+    // What GET /api/usage reports
+    const describe = (identity) => {
+        const { name, label, ...limits } = tierOf(identity);
+        return {
+            tier: name,
+            label,
+            limits,
+            today: ledger.get(identity.userId),
+            resetsAt: new Date(nextUtcMidnight(Date.now())).toISOString(),
+        };
+    };
+
+    return { admit, record, describe };
+};
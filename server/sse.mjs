@@ -0,0 +1,26 @@
+// Helpers for server-sent events: reading upstream provider streams and writing our own.
+
+// Yields the `data` payload of every event in a fetch Response body.
+export async function* readSseData(body) {
+    const decoder = new TextDecoder();
+    let buffer = '';
+    for await (const chunk of body) {
+        buffer = (buffer + decoder.decode(chunk, { stream: true })).replace(/\r\n/g, '\n');
+        let boundary;
+        while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+            const rawEvent = buffer.slice(0, boundary);
+            buffer = buffer.slice(boundary + 2);
+            const data = rawEvent.split('\n')
+                .filter(line => line.startsWith('data:'))
+                .map(line => line.slice(5).replace(/^ /, ''))
+                .join('\n');
+            if (data) {
+                yield data;
+            }
+        }
+    }
+}
+
+export const writeSseEvent = (res, event, data) => {
+    res.write(`${event ? `event: ${event}\n` : ''}data: ${JSON.stringify(data)}\n\n`);
+};
@@ -0,0 +1,84 @@
+// Per-user usage ledger: requests and tokens per UTC day. It lives in memory and is saved to a
+// JSON file (USAGE_FILE) shortly after every change, so a restart does not reset anyone's quota.
+// Days older than `retainDays` are dropped when saving.
+//
+// File: { "<YYYY-MM-DD>": { "<userId>": { requests, promptTokens, completionTokens } } }
+import { readFileSync } from 'node:fs';
+import { writeFile, mkdir, rename } from 'node:fs/promises';
+import path from 'node:path';
+
+const SAVE_DELAY_MS = 1000;
+
+export const utcDay = (time = Date.now()) => new Date(time).toISOString().slice(0, 10);
+
+// Rough count for providers that do not report usage: about four characters per token
+export const estimateTokens = (text) => Math.ceil(text.length / 4);
+
+// `request` is the model request: { contents, systemInstruction }
+export const estimateUsage = ({ contents, systemInstruction }, replyText) => ({
+    promptTokens: estimateTokens([systemInstruction, ...contents].filter(Boolean).flatMap(content => content.parts.map(part => part.text || '')).join('\n')),
+    completionTokens: estimateTokens(replyText),
+});
+
+const emptyUsage = () => ({ requests: 0, promptTokens: 0, completionTokens: 0 });
+
+const readLedgerFile = (filePath) => {
+    try {
+        return JSON.parse(readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.error("Could not read usage file, starting empty:", error);
+        }
+        return {};
+    }
+};
+
+// Without a filePath usage is kept in memory only
+export const createUsageLedger = ({ filePath = '', retainDays = 31 } = {}) => {
+    const days = filePath ? readLedgerFile(filePath) : {};
+    let saveTimer = null;
+
+    const save = async () => {
+        clearTimeout(saveTimer);
+        saveTimer = null;
+        if (!filePath) return;
+
+        const oldestKept = utcDay(Date.now() - retainDays * 24 * 60 * 60 * 1000);
+        Object.keys(days).filter(day => day < oldestKept).forEach(day => delete days[day]);
+
+        // Write to a temporary file first so a crash never leaves half a ledger behind
+        await mkdir(path.dirname(filePath), { recursive: true });
+        const tempPath = `${filePath}.tmp`;
+        await writeFile(tempPath, JSON.stringify(days));
+        await rename(tempPath, filePath);
+    };
+
+    const scheduleSave = () => {
+        if (!filePath || saveTimer) return;
+        saveTimer = setTimeout(() => save().catch(error => console.error("Could not save usage file:", error)), SAVE_DELAY_MS);
+        saveTimer.unref();
+    };
+
+    const entry = (userId, day) => {
+        days[day] ||= {};
+        return (days[day][userId] ||= emptyUsage());
+    };
+
+    return {
+        get: (userId, day = utcDay()) => ({ ...emptyUsage(), ...days[day]?.[userId] }),
+
+        addRequest: (userId) => {
+            entry(userId, utcDay()).requests += 1;
+            scheduleSave();
+        },
+
+        addTokens: (userId, { promptTokens = 0, completionTokens = 0 }) => {
+            const usage = entry(userId, utcDay());
+            usage.promptTokens += promptTokens;
+            usage.completionTokens += completionTokens;
+            scheduleSave();
+        },
+
+        flush: save,
+    };
+};
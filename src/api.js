@@ -0,0 +1,76 @@
+// Client for the backend proxy in server/proxy.mjs. The browser never talks to a model directly.
+import { readError, readChatStream, isQuotaError } from './responseParser.js';
+
+export { isQuotaError };
+
+const getApiBaseUrl = () => typeof __api_base_url !== 'undefined' ? __api_base_url : '';
+
+// Returns the signed-in user's Firebase ID token (or null), so the server can apply that user's
+// quotas. Set by the app once Firebase auth is ready; without it requests count as a guest's.
+let getIdToken = async () => null;
+
+export const setIdTokenProvider = (provider) => {
+    getIdToken = provider;
+};
+
+const requestHeaders = async (headers = {}) => {
+    const token = await getIdToken();
+    return token ? { ...headers, Authorization: `Bearer ${token}` } : headers;
+};
+
+// Both chat endpoints take Gemini-style `contents` plus the optional `systemInstruction`, `model`
+// and `generationConfig` of a prompt profile (see promptProfiles.js)
+const chatRequestBody = ({ contents, systemInstruction, model, generationConfig }) => JSON.stringify({ contents, systemInstruction, model, generationConfig });
+
+// Requests a complete reply from /api/chat, for short hidden requests such as chat titles
+export const generateChat = async ({ signal, ...request }) => {
+    const response = await fetch(`${getApiBaseUrl()}/api/chat`, {
+        method: 'POST',
+        headers: await requestHeaders({ 'Content-Type': 'application/json' }),
+        body: chatRequestBody(request),
+        signal,
+    });
+
+    if (!response.ok) {
+        throw await readError(response);
+    }
+    const body = await response.json();
+    return body.text || '';
+};
+
+// Streams a reply from /api/chat/stream. `onText` receives the full text received so far
+// after every chunk; the promise resolves with the complete reply. Aborting `signal`
+// rejects the promise, so callers should keep the last text passed to `onText`.
+// `onUsage({ promptTokens, completionTokens })` is called once the reply is complete.
+export const streamChat = async ({ signal, onText, onUsage = () => {}, ...request }) => {
+    const response = await fetch(`${getApiBaseUrl()}/api/chat/stream`, {
+        method: 'POST',
+        headers: await requestHeaders({ 'Content-Type': 'application/json' }),
+        body: chatRequestBody(request),
+        signal,
+    });
+
+    if (!response.ok) {
+        throw await readError(response);
+    }
+
+    return readChatStream(response.body, { onText, onUsage });
+};
+
+// The caller's plan, limits and usage today: { tier, label, limits, today, resetsAt }
+export const fetchUsage = async () => {
+    const response = await fetch(`${getApiBaseUrl()}/api/usage`, { headers: await requestHeaders() });
+    if (!response.ok) {
+        throw await readError(response);
+    }
+    return response.json();
+};
+
+// The models prompt profiles can choose: { provider, defaultModel, models }
+export const fetchModels = async () => {
+    const response = await fetch(`${getApiBaseUrl()}/api/models`);
+    if (!response.ok) {
+        throw await readError(response);
+    }
+    return response.json();
+};
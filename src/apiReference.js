@@ -0,0 +1,163 @@
+// Structured reference model of the Perception.cx API, built from the entry chunks of Perception.txt.
+//
+// {
+//   namespaces: [{ id, title, description, prefixes: ['render'], entries: [Entry] }],
+//   entries: [Entry],
+//   byName: Map<name, Entry>
+// }
+// Entry: { id, name, namespace, section, subsection, signatures, description,
+//          parameters: [{ name, type, optional, description }], returns: [{ type, description }],
+//          example, notes, brief }
+import { splitPerceptionDocs } from './perceptionDocs.js';
+
+const FIELD_LABELS = ['Signature:', 'Description:', 'Parameters:', 'Returns:', 'Example:'];
+
+// "tab:create_panel" -> "tab", "vec2" -> "vec2"
+const namespaceOf = (name) => name.split(/[.:]/)[0];
+
+// Splits an entry body into its labelled fields; text before the first label is ignored
+const readFields = (lines) => {
+    const fields = {};
+    let current = null;
+    for (const line of lines) {
+        const label = FIELD_LABELS.find(candidate => line.startsWith(candidate));
+        if (label) {
+            current = label.slice(0, -1).toLowerCase();
+            fields[current] = [line.slice(label.length).trim()];
+        } else if (current) {
+            fields[current].push(line);
+        }
+    }
+    return fields;
+};
+
+const nonEmpty = (lines = []) => lines.map(line => line.trim()).filter(Boolean);
+
+// "small_panel (boolean, optional): Whether to ..." -> { name, type, optional, description }
+const parseParameters = (lines) => {
+    const parameters = [];
+    for (const line of nonEmpty(lines)) {
+        if (line === 'None') continue;
+        const match = line.match(/^([\w.]+|\.\.\.)\s*\(([^)]*)\):\s*(.*)$/);
+        if (match) {
+            parameters.push({ name: match[1], type: match[2].replace(/,?\s*optional/i, '').trim(), optional: /optional/i.test(match[2]), description: match[3] });
+        } else if (parameters.length > 0) {
+            parameters[parameters.length - 1].description += ` ${line}`;
+        }
+    }
+    return parameters;
+};
+
+// "handle: A font handle..." or "width (number): The width..." -> { type, description }
+const parseReturns = (lines) => {
+    const returns = [];
+    for (const line of nonEmpty(lines)) {
+        if (line === 'None') continue;
+        const match = line.match(/^([\w.]+(?:\s*\([^)]*\))?):\s*(.*)$/);
+        if (match) {
+            returns.push({ type: match[1], description: match[2] });
+        } else if (returns.length > 0) {
+            returns[returns.length - 1].description += ` ${line}`;
+        } else {
+            returns.push({ type: '', description: line });
+        }
+    }
+    return returns;
+};
+
+// The example block ends with the code; trailing prose sentences are notes about the function
+const isProse = (line) => /^[A-Z]/.test(line) && /\.$/.test(line) && !/[=]|^\w+\(/.test(line) && line.split(/\s+/).length >= 5;
+
+const splitExample = (lines = []) => {
+    const body = lines.slice(1); // First element is the text after "Example:" on the same line
+    while (body.length > 0 && (body[0].trim() === '' || body[0].trim() === 'Copy')) body.shift();
+
+    let end = body.length;
+    while (end > 0 && (body[end - 1].trim() === '' || isProse(body[end - 1].trim()))) end--;
+
+    return {
+        example: body.slice(0, end).join('\n').replace(/\s+$/, ''),
+        notes: nonEmpty(body.slice(end)).join(' '),
+    };
+};
+
+// "render.draw_line(x1, y1) / other(x)" -> ["render.draw_line(x1, y1)", "other(x)"]
+const parseSignatures = (text = '') => text.split(/\s+\/\s+/).map(signature => signature.trim()).filter(Boolean);
+
+const parseEntry = (chunk) => {
+    const lines = chunk.text.split('\n').slice(1);
+    const fields = readFields(lines);
+    const { example, notes } = splitExample(fields.example);
+
+    return {
+        id: chunk.id,
+        name: chunk.name,
+        namespace: namespaceOf(chunk.name),
+        section: chunk.section,
+        subsection: chunk.subsection,
+        signatures: parseSignatures(fields.signature?.[0]),
+        description: nonEmpty(fields.description).join(' '),
+        parameters: parseParameters(fields.parameters),
+        returns: parseReturns(fields.returns),
+        example,
+        notes,
+        brief: false,
+    };
+};
+
+// Topics also document functions in one line: "vec2:project_onto(v) - Projects this vector onto vector v."
+const parseBriefEntries = (chunk) => chunk.text.split('\n').map(line => line.trim())
+    .map(line => line.match(/^([a-z_]\w*(?:[.:][a-z_]\w*)+)\(([^)]*)\)\s+-\s+(.*)$/i))
+    .filter(Boolean)
+    .map(([, name, params, description]) => ({
+        id: `brief:${name}`,
+        name,
+        namespace: namespaceOf(name),
+        section: chunk.section,
+        subsection: chunk.subsection,
+        signatures: [`${name}(${params})`],
+        description,
+        parameters: params.split(',').map(param => param.trim()).filter(Boolean).map(param => ({ name: param.replace(/\?$/, ''), type: '', optional: param.endsWith('?'), description: '' })),
+        returns: [],
+        example: '',
+        notes: '',
+        brief: true,
+    }));
+
+export const parseApiReference = (text) => {
+    const { sections, chunks } = splitPerceptionDocs(text);
+
+    const entries = [];
+    const byName = new Map();
+    const addEntry = (entry) => {
+        if (byName.has(entry.name)) return; // Full entries win over later one-line mentions
+        entries.push(entry);
+        byName.set(entry.name, entry);
+    };
+
+    for (const chunk of chunks) {
+        if (chunk.kind === 'function') {
+            addEntry(parseEntry(chunk));
+        }
+    }
+    for (const chunk of chunks) {
+        if (chunk.kind === 'topic') {
+            parseBriefEntries(chunk).forEach(addEntry);
+        }
+    }
+
+    const namespaces = sections
+        .map(section => {
+            const sectionEntries = entries.filter(entry => entry.section === section.title);
+            return {
+                id: section.title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, ''),
+                title: section.title,
+                description: section.description,
+                prefixes: [...new Set(sectionEntries.map(entry => entry.namespace))],
+                entries: sectionEntries,
+            };
+        })
+        .filter(namespace => namespace.entries.length > 0);
+
+    return { namespaces, entries, byName };
+};
@@ -0,0 +1,94 @@
+// Files attached to a user message: Lua scripts and error logs, picked or dropped onto the chat.
+// They are stored with the message and sent to the model as separate, labeled parts after its text.
+//
+// Attachment: { id, name, language: 'lua' | 'text', size, content }
+import { fileLanguage } from './workspace.js';
+
+export const ATTACHMENT_EXTENSIONS = ['lua', 'txt'];
+export const MAX_ATTACHMENTS = 5;
+
+// A message is one document in Firestore (at most 1 MiB) and is sent again with every later
+// question, so attachments are kept well below that
+const MAX_ATTACHMENT_BYTES = 100 * 1024;
+const MAX_TOTAL_BYTES = 250 * 1024;
+
+export const formatFileSize = (bytes) => bytes < 1024 ? `${bytes} B` : `${(bytes / 1024).toFixed(1)} KB`;
+
+// Reads picked or dropped files into attachments, next to the ones already `attached` to the
+// message being written. Returns { attachments, problems }: the files that were added, and one
+// sentence for each file that was not.
+export const readAttachments = async (files, attached = []) => {
+    const added = [];
+    const problems = [];
+    let totalBytes = attached.reduce((sum, attachment) => sum + attachment.size, 0);
+
+    for (const file of files) {
+        const extension = file.name.includes('.') ? file.name.split('.').pop().toLowerCase() : '';
+        if (!ATTACHMENT_EXTENSIONS.includes(extension)) {
+            problems.push(`${file.name}: only .lua and .txt files can be attached.`);
+            continue;
+        }
+        if ([...attached, ...added].some(attachment => attachment.name === file.name)) {
+            problems.push(`${file.name} is already attached.`);
+            continue;
+        }
+        if (attached.length + added.length >= MAX_ATTACHMENTS) {
+            problems.push(`${file.name}: a message can have at most ${MAX_ATTACHMENTS} attachments.`);
+            continue;
+        }
+        if (file.size > MAX_ATTACHMENT_BYTES) {
+            problems.push(`${file.name} is larger than ${formatFileSize(MAX_ATTACHMENT_BYTES)}.`);
+            continue;
+        }
+        if (totalBytes + file.size > MAX_TOTAL_BYTES) {
+            problems.push(`${file.name}: the attachments of a message are limited to ${formatFileSize(MAX_TOTAL_BYTES)} together.`);
+            continue;
+        }
+
+        let content;
+        try {
+            content = await file.text();
+        } catch (error) {
+            console.error("Error reading attachment:", error);
+            problems.push(`${file.name} could not be read.`);
+            continue;
+        }
+        if (content.includes('\u0000')) {
+            problems.push(`${file.name} is not a text file.`);
+            continue;
+        }
+
+        totalBytes += file.size;
+        added.push({
+            id: crypto.randomUUID(),
+            name: file.name,
+            language: fileLanguage(file.name),
+            size: file.size,
+            content: content.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n'),
+        });
+    }
+
+    return { attachments: added, problems };
+};
+
+// A fence longer than any run of backticks in the content, so a log quoting Markdown cannot close it
+const fenceFor = (content) => '`'.repeat(Math.max(3, ...(content.match(/`+/g) || []).map(run => run.length + 1)));
+
+// The content of an attachment as a fenced Markdown code block
+export const fencedAttachment = (attachment) => {
+    const fence = fenceFor(attachment.content);
+    const language = attachment.language === 'text' ? '' : attachment.language;
+    return `${fence}${language}\n${attachment.content.trimEnd()}\n${fence}`;
+};
+
+const attachmentPart = (attachment) => ({ text: `Attached file "${attachment.name}":\n${fencedAttachment(attachment)}` });
+
+// Parts of a message in a model request: its text, then one labeled part per attachment. A message
+// sent with attachments only has no text part, as providers reject empty ones.
+export const messageParts = (message) => {
+    const parts = (message.attachments || []).map(attachmentPart);
+    return message.text || parts.length === 0 ? [{ text: message.text }, ...parts] : parts;
+};
+
+// Everything the user sent with a message, for matching it against other text
+export const messageContent = (message) => [message.text, ...(message.attachments || []).map(attachment => attachment.content)].join('\n');
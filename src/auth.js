@@ -0,0 +1,70 @@
+// Account sign-in on top of Firebase Auth. Everyone starts as an anonymous guest; creating an
+// account links the new credential to the guest, so the uid and with it every chat stay the same.
+// Signing into an account that already exists replaces the guest instead, and `beforeSwitch`
+// gives the caller a chance to read the guest's chats first (see chatbot.js).
+import { EmailAuthProvider, GoogleAuthProvider, GithubAuthProvider, OAuthProvider, createUserWithEmailAndPassword, signInWithEmailAndPassword, linkWithCredential, linkWithPopup, signInWithPopup, signInWithCredential, signOut as firebaseSignOut } from 'https://www.gstatic.com/firebasejs/11.6.1/firebase-auth.js';
+
+export const OAUTH_PROVIDERS = [
+    { id: 'google.com', label: 'Google' },
+    { id: 'github.com', label: 'GitHub' },
+];
+
+const createOAuthProvider = (providerId) => providerId === 'github.com' ? new GithubAuthProvider() : new GoogleAuthProvider();
+
+const isGuest = (auth) => Boolean(auth.currentUser?.isAnonymous);
+
+// The parts of a Firebase user the account panel shows
+export const describeUser = (user) => user ? {
+    uid: user.uid,
+    isAnonymous: user.isAnonymous,
+    email: user.email,
+    displayName: user.displayName,
+    providers: user.providerData.map(provider => provider.providerId),
+    createdAt: user.metadata?.creationTime || null,
+} : null;
+
+export const createAccountWithEmail = (auth, email, password) => isGuest(auth)
+    ? linkWithCredential(auth.currentUser, EmailAuthProvider.credential(email, password))
+    : createUserWithEmailAndPassword(auth, email, password);
+
+export const signInWithEmail = async (auth, email, password, { beforeSwitch = async () => {} } = {}) => {
+    if (isGuest(auth)) await beforeSwitch();
+    return signInWithEmailAndPassword(auth, email, password);
+};
+
+// Opens the provider's popup right away (browsers block popups opened after an await). A guest
+// is linked to the provider account, unless that account is already in use, in which case the
+// guest signs into it.
+export const signInWithOAuth = async (auth, providerId, { beforeSwitch = async () => {} } = {}) => {
+    const provider = createOAuthProvider(providerId);
+    if (!isGuest(auth)) return signInWithPopup(auth, provider);
+    try {
+        return await linkWithPopup(auth.currentUser, provider);
+    } catch (error) {
+        if (error.code !== 'auth/credential-already-in-use') throw error;
+        const credential = OAuthProvider.credentialFromError(error);
+        if (!credential) throw error;
+        await beforeSwitch();
+        return signInWithCredential(auth, credential);
+    }
+};
+
+export const signOut = (auth) => firebaseSignOut(auth);
+
+const errorMessages = {
+    'auth/invalid-email': "That email address is not valid.",
+    'auth/missing-password': "Enter a password.",
+    'auth/weak-password': "Use a password with at least 6 characters.",
+    'auth/email-already-in-use': "An account with this email already exists. Sign in instead.",
+    'auth/credential-already-in-use': "This sign-in is already used by another account.",
+    'auth/invalid-credential': "Wrong email or password.",
+    'auth/wrong-password': "Wrong email or password.",
+    'auth/user-not-found': "Wrong email or password.",
+    'auth/too-many-requests': "Too many attempts. Wait a moment and try again.",
+    'auth/popup-closed-by-user': "The sign-in window was closed before finishing.",
+    'auth/popup-blocked': "The browser blocked the sign-in window. Allow popups for this site and try again.",
+    'auth/operation-not-allowed': "This sign-in method is not enabled for the project.",
+    'auth/network-request-failed': "Could not reach the sign-in service. Check your connection.",
+};
+
+export const describeAuthError = (error) => errorMessages[error?.code] || "Sign-in failed. Please try again.";
@@ -0,0 +1,132 @@
+// Export of a chat to Markdown and JSON, and import of the JSON back into a new chat. The JSON
+// format is documented in docs/export-format.md; shared links (sharing.js) publish the same
+// document, so anything that reads one reads the other.
+import { toMillis } from './sessions.js';
+import { slugify } from './codeFiles.js';
+import { fileLanguage } from './workspace.js';
+import { ATTACHMENT_EXTENSIONS, fencedAttachment } from './attachments.js';
+
+export const EXPORT_FORMAT = 'perception-ai-chat';
+export const EXPORT_VERSION = 1;
+
+const SENDERS = ['user', 'ai'];
+const MAX_IMPORT_BYTES = 5 * 1024 * 1024;
+
+const toIsoString = (value) => {
+    const millis = toMillis(value);
+    return millis ? new Date(millis).toISOString() : null;
+};
+
+// Only what a reader of the chat needs; UI state such as `repairingAttempt` is left out
+const exportMessage = (message) => ({
+    id: message.id,
+    sender: message.sender,
+    text: message.text || '',
+    timestamp: toIsoString(message.timestamp),
+    ...(message.attachments?.length ? { attachments: message.attachments } : {}),
+    ...(message.sources?.length ? { sources: message.sources } : {}),
+    ...(message.repair ? { repair: message.repair } : {}),
+    ...(message.stopped ? { stopped: true } : {}),
+});
+
+export const createChatExport = (session, messages) => ({
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    chat: {
+        title: session.title || 'Untitled chat',
+        createdAt: toIsoString(session.createdAt),
+        updatedAt: toIsoString(session.updatedAt),
+        messages: messages.map(exportMessage),
+    },
+});
+
+export const exportChatJson = (session, messages) => JSON.stringify(createChatExport(session, messages), null, 2);
+
+export const exportChatMarkdown = (session, messages) => {
+    const lines = [`# ${session.title || 'Untitled chat'}`, '', `_Exported from Perception AI on ${new Date().toLocaleString()}_`, ''];
+    for (const message of messages) {
+        const time = toMillis(message.timestamp) ? ` · ${new Date(toMillis(message.timestamp)).toLocaleString()}` : '';
+        lines.push(`## ${message.sender === 'user' ? 'You' : 'Perception AI'}${time}`, '', message.text || '', '');
+        for (const attachment of message.attachments || []) {
+            lines.push(`**Attached: ${attachment.name}**`, '', fencedAttachment(attachment), '');
+        }
+    }
+    return lines.join('\n');
+};
+
+// File name for an export, e.g. "drawing-lines-in-perception.md"
+export const exportFileName = (session, extension) => `${slugify(session.title || '') || 'chat'}.${extension}`;
+
+// Imported files are untrusted, so optional fields are rebuilt from the expected primitives
+const importSources = (sources) => Array.isArray(sources)
+    ? sources
+        .filter(source => typeof source?.title === 'string')
+        .map(source => ({ id: String(source.id ?? ''), title: source.title, kind: String(source.kind ?? '') }))
+    : [];
+
+const importAttachments = (attachments) => Array.isArray(attachments)
+    ? attachments
+        .filter(attachment => typeof attachment?.name === 'string' && typeof attachment.content === 'string'
+            && ATTACHMENT_EXTENSIONS.includes(attachment.name.split('.').pop().toLowerCase()))
+        .map(attachment => ({
+            id: typeof attachment.id === 'string' && attachment.id ? attachment.id : crypto.randomUUID(),
+            name: attachment.name,
+            language: fileLanguage(attachment.name),
+            size: Number.isInteger(attachment.size) && attachment.size >= 0 ? attachment.size : attachment.content.length,
+            content: attachment.content,
+        }))
+    : [];
+
+const importRepair = (repair) => repair && Number.isInteger(repair.attempts) ? {
+    attempts: repair.attempts,
+    resolved: repair.resolved === true,
+    originalText: typeof repair.originalText === 'string' ? repair.originalText : '',
+} : null;
+
+const importError = (message) => new Error(`Not a valid chat export: ${message}`);
+
+// Parses an exported JSON file into { title, createdAt, messages }. Throws an Error whose message
+// can be shown to the user when the file is not a supported export.
+export const parseChatImport = (text) => {
+    if (text.length > MAX_IMPORT_BYTES) throw importError("the file is larger than 5 MB.");
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch {
+        throw importError("the file is not JSON.");
+    }
+    if (data?.format !== EXPORT_FORMAT) throw importError(`expected "format": "${EXPORT_FORMAT}".`);
+    if (!Number.isInteger(data.version) || data.version > EXPORT_VERSION) {
+        throw importError(`version ${data.version} is not supported, update the app to import it.`);
+    }
+    if (!Array.isArray(data.chat?.messages)) throw importError("\"chat.messages\" must be an array.");
+
+    const usedIds = new Set();
+    let previousMillis = 0;
+    const messages = data.chat.messages.map((message, position) => {
+        if (!SENDERS.includes(message?.sender)) throw importError(`message ${position + 1} has no valid "sender".`);
+        if (typeof message.text !== 'string') throw importError(`message ${position + 1} has no "text".`);
+        // Ids must be unique within the chat; missing or repeated ones get a fresh id
+        const id = typeof message.id === 'string' && message.id && !message.id.includes('/') && !usedIds.has(message.id) ? message.id : crypto.randomUUID();
+        usedIds.add(id);
+        // Messages without a timestamp keep their place right after the previous message
+        previousMillis = toMillis(message.timestamp) || previousMillis + 1;
+        return exportMessage({
+            id,
+            sender: message.sender,
+            text: message.text,
+            timestamp: new Date(previousMillis).toISOString(),
+            attachments: importAttachments(message.attachments),
+            sources: importSources(message.sources),
+            repair: importRepair(message.repair),
+            stopped: message.stopped === true,
+        });
+    });
+
+    return {
+        title: typeof data.chat.title === 'string' && data.chat.title.trim() ? data.chat.title.trim() : 'Imported chat',
+        createdAt: toIsoString(data.chat.createdAt),
+        messages,
+    };
+};
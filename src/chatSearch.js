@@ -0,0 +1,118 @@
+// Full-text search over chat titles and messages. The index lives in memory and is updated one
+// session at a time: titles from the session listener, messages whenever a session's messages are
+// at hand. `indexedAt` remembers which `updatedAt` the messages belong to, so only sessions that
+// changed since have to be read again.
+//
+// Index: Map<sessionId, { title, messages, indexedAt, entries: [{ messageId, sender, text, lowerText }] }>
+// Result: { sessionId, sessionTitle, messageId (null for a title match), sender, segments: [{ text, highlight }] }
+import { toMillis } from './sessions.js';
+
+// Chats whose messages a search reads at a time; each read fetches a whole chat, so the rest wait
+// until the user asks to search further
+export const SESSIONS_READ_PER_PAGE = 10;
+
+const EXCERPT_BEFORE = 40;
+const EXCERPT_LENGTH = 160;
+
+export const createChatIndex = () => new Map();
+
+// Re-indexes a session unless neither its title nor its message list changed since the last call
+export const indexSession = (index, session) => {
+    const previous = index.get(session.id);
+    if (previous && previous.title === session.title && previous.messages === session.messages) return false;
+
+    const messages = Array.isArray(session.messages) ? session.messages : [];
+    index.set(session.id, {
+        title: session.title || '',
+        messages: session.messages,
+        indexedAt: toMillis(session.updatedAt),
+        entries: messages
+            .map(message => ({
+                messageId: message.id,
+                sender: message.sender,
+                text: message.text || '',
+                lowerText: (message.text || '').toLowerCase(),
+            }))
+            .filter(entry => entry.text),
+    });
+    return true;
+};
+
+// Keeps a session's title searchable before its messages have been read
+export const indexSessionTitle = (index, sessionId, title) => {
+    const previous = index.get(sessionId);
+    if (previous?.title === title) return false;
+    index.set(sessionId, previous ? { ...previous, title } : { title, messages: null, indexedAt: -1, entries: [] });
+    return true;
+};
+
+// True when a session's messages were never indexed or changed since they were
+export const needsMessages = (index, session) => {
+    const entry = index.get(session.id);
+    return !entry || entry.messages === null || entry.indexedAt < toMillis(session.updatedAt);
+};
+
+export const removeSession = (index, sessionId) => index.delete(sessionId);
+
+const queryTerms = (query) => [...new Set(query.toLowerCase().split(/\s+/).filter(Boolean))];
+
+// Splits text into plain and highlighted runs for every occurrence of a query term
+const highlightTerms = (text, terms) => {
+    const lowerText = text.toLowerCase();
+    const marked = new Array(text.length).fill(false);
+    for (const term of terms) {
+        for (let position = lowerText.indexOf(term); position !== -1; position = lowerText.indexOf(term, position + term.length)) {
+            marked.fill(true, position, position + term.length);
+        }
+    }
+
+    const segments = [];
+    for (let i = 0; i < text.length; i++) {
+        const last = segments[segments.length - 1];
+        if (last && last.highlight === marked[i]) {
+            last.text += text[i];
+        } else {
+            segments.push({ text: text[i], highlight: marked[i] });
+        }
+    }
+    return segments;
+};
+
+// A window of the message around the first matching term, on a single line
+const excerpt = (text, lowerText, terms) => {
+    const first = Math.min(...terms.map(term => lowerText.indexOf(term)));
+    const start = Math.max(0, first - EXCERPT_BEFORE);
+    const end = Math.min(text.length, start + EXCERPT_LENGTH);
+    const snippet = text.slice(start, end).replace(/\s+/g, ' ').trim();
+    return `${start > 0 ? '…' : ''}${snippet}${end < text.length ? '…' : ''}`;
+};
+
+// Every query term must occur in the title or message (case-insensitive). Sessions are visited in
+// the order given, so callers pass the ids sorted the way the sidebar shows them.
+export const searchChats = (index, query, sessionIds, { limit = 50 } = {}) => {
+    const terms = queryTerms(query);
+    if (terms.length === 0) return [];
+
+    const results = [];
+    for (const sessionId of sessionIds) {
+        const session = index.get(sessionId);
+        if (!session) continue;
+
+        const lowerTitle = session.title.toLowerCase();
+        if (terms.every(term => lowerTitle.includes(term))) {
+            results.push({ sessionId, sessionTitle: session.title, messageId: null, sender: null, segments: highlightTerms(session.title, terms) });
+        }
+        for (const entry of session.entries) {
+            if (results.length >= limit) return results;
+            if (!terms.every(term => entry.lowerText.includes(term))) continue;
+            results.push({
+                sessionId,
+                sessionTitle: session.title,
+                messageId: entry.messageId,
+                sender: entry.sender,
+                segments: highlightTerms(excerpt(entry.text, entry.lowerText, terms), terms),
+            });
+        }
+    }
+    return results.slice(0, limit);
+};
@@ -0,0 +1,43 @@
+// Copies chats between session stores, e.g. the demo chats kept in IndexedDB into a signed-in
+// Firestore account. Sessions keep their ids, so copying again after an interruption overwrites
+// the partial copy instead of duplicating it.
+
+// Copies every session that has messages, with its workspace files, and returns the ids of the
+// copied sessions. `onProgress(done, total)` is called before the first and after every copied session.
+export const copyChats = async (source, target, { onProgress = () => {} } = {}) => {
+    const sessions = await source.loadSessions();
+    const withMessages = [];
+    for (const session of sessions) {
+        const messages = await source.loadMessages(session.id);
+        if (messages.length > 0) withMessages.push({ session, messages, files: await source.loadWorkspaceFiles(session.id) });
+    }
+
+    const copied = [];
+    onProgress(0, withMessages.length);
+    for (const { session, messages, files } of withMessages) {
+        for (const file of files) {
+            await target.saveWorkspaceFile(session.id, file);
+        }
+        await target.putSession(session, messages);
+        copied.push(session.id);
+        onProgress(copied.length, withMessages.length);
+    }
+    return copied;
+};
+
+// Reads every chat of a store into memory and returns a read-only source for copyChats, so the
+// chats can still be copied after the original store became unreadable (e.g. once a guest signed into another account)
+export const snapshotChats = async (source) => {
+    const sessions = await source.loadSessions();
+    const messagesBySession = new Map();
+    const filesBySession = new Map();
+    for (const session of sessions) {
+        messagesBySession.set(session.id, await source.loadMessages(session.id));
+        filesBySession.set(session.id, await source.loadWorkspaceFiles(session.id));
+    }
+    return {
+        loadSessions: async () => sessions,
+        loadMessages: async (sessionId) => messagesBySession.get(sessionId) || [],
+        loadWorkspaceFiles: async (sessionId) => filesBySession.get(sessionId) || [],
+    };
+};
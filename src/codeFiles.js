@@ -0,0 +1,61 @@
+// Turns the code blocks of a message into named files for copying, downloading and saving.
+// A block is named after the heading above it ("## ESP Box Example" -> "esp-box-example.lua").
+import { extractCodeBlocks } from './markdown.js';
+
+const EXTENSIONS = {
+    lua: 'lua', javascript: 'js', js: 'js', typescript: 'ts', ts: 'ts', json: 'json', python: 'py', py: 'py',
+    bash: 'sh', sh: 'sh', shell: 'sh', c: 'c', cpp: 'cpp', 'c++': 'cpp', cs: 'cs', csharp: 'cs',
+    html: 'html', css: 'css', xml: 'xml', yaml: 'yml', yml: 'yml', sql: 'sql', md: 'md', markdown: 'md',
+};
+
+export const fileExtension = (language) => EXTENSIONS[language] || 'txt';
+
+export const slugify = (text) => text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 60);
+
+// [{ block, name, title, language, code }] for every closed code block, with unique file names
+export const collectCodeFiles = (blocks) => {
+    const usedNames = new Set();
+    return extractCodeBlocks(blocks)
+        .filter(block => !block.isOpen)
+        .map((block, i) => {
+            const base = slugify(block.heading || '') || `snippet-${i + 1}`;
+            const extension = fileExtension(block.language);
+            let name = `${base}.${extension}`;
+            for (let n = 2; usedNames.has(name); n++) name = `${base}-${n}.${extension}`;
+            usedNames.add(name);
+            return { block, name, title: block.heading || name, language: block.language, code: block.code };
+        });
+};
+
+export const downloadFile = (name, content, type = 'text/plain') => {
+    const blob = content instanceof Blob ? content : new Blob([content], { type });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = name;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+// navigator.clipboard needs a secure context, so fall back to a hidden textarea
+export const copyToClipboard = async (text) => {
+    if (navigator.clipboard?.writeText) {
+        try {
+            await navigator.clipboard.writeText(text);
+            return;
+        } catch (error) {
+            console.warn("Clipboard API unavailable, falling back:", error);
+        }
+    }
+    const textarea = document.createElement('textarea');
+    textarea.value = text;
+    textarea.style.position = 'fixed';
+    textarea.style.opacity = '0';
+    document.body.appendChild(textarea);
+    textarea.select();
+    const copied = document.execCommand('copy');
+    textarea.remove();
+    if (!copied) throw new Error('Copy command was rejected');
+};
@@ -0,0 +1,181 @@
+// The signed-in account: sign-in and account creation for guests, profile and usage otherwise.
+// Opened from the account item at the bottom of the sidebar.
+import { LucideIcon } from './LucideIcon.js';
+import { OAUTH_PROVIDERS, describeAuthError } from '../auth.js';
+
+const { useState } = React;
+
+const providerLabels = { 'password': 'Email and password', 'google.com': 'Google', 'github.com': 'GitHub' };
+
+const formatDate = (value) => {
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? '' : date.toLocaleDateString();
+};
+
+const Row = ({ label, value, mono }) => (
+    React.createElement("div", { className: "flex justify-between gap-4 py-1 text-sm" },
+        React.createElement("span", { className: "text-gray-500 flex-shrink-0" }, label),
+        React.createElement("span", { className: `text-gray-300 truncate ${mono ? 'font-mono text-xs' : ''}`, title: String(value) }, value)
+    )
+);
+
+// A used / limit row with a bar that turns yellow, then red, as the limit gets close
+const Meter = ({ label, used, limit }) => {
+    const share = limit > 0 ? Math.min(1, used / limit) : 0;
+    return (
+        React.createElement("div", { className: "py-1" },
+            React.createElement("div", { className: "flex justify-between text-sm" },
+                React.createElement("span", { className: "text-gray-500" }, label),
+                React.createElement("span", { className: "text-gray-300" }, `${used.toLocaleString()} / ${limit.toLocaleString()}`)
+            ),
+            React.createElement("div", { className: "h-1.5 mt-1 rounded bg-gray-700 overflow-hidden" },
+                React.createElement("div", { className: `h-full ${share >= 1 ? 'bg-red-500' : share >= 0.8 ? 'bg-yellow-500' : 'bg-blue-500'}`, style: { width: `${share * 100}%` } })
+            )
+        )
+    );
+};
+
+// The plan's daily quotas as reported by the server (GET /api/usage)
+const PlanUsage = ({ serverUsage }) => (
+    React.createElement("div", { className: "mb-6" },
+        React.createElement("h3", { className: "text-xs font-semibold text-gray-500 uppercase mb-2" }, "Plan"),
+        !serverUsage ? (
+            React.createElement("p", { className: "text-sm text-gray-500" }, "Loading usage...")
+        ) : (
+            React.createElement(React.Fragment, null,
+                React.createElement(Row, { label: "Plan", value: serverUsage.label }),
+                React.createElement(Meter, { label: "Requests today", used: serverUsage.today.requests, limit: serverUsage.limits.requestsPerDay }),
+                React.createElement(Meter, { label: "Tokens today", used: serverUsage.today.promptTokens + serverUsage.today.completionTokens, limit: serverUsage.limits.tokensPerDay }),
+                React.createElement(Row, { label: "Prompt / completion", value: `${serverUsage.today.promptTokens.toLocaleString()} / ${serverUsage.today.completionTokens.toLocaleString()}` }),
+                React.createElement(Row, { label: "Rate limit", value: `${serverUsage.limits.requestsPerMinute} requests per minute` }),
+                React.createElement("p", { className: "text-xs text-gray-500 mt-1" }, `Daily quotas reset at ${new Date(serverUsage.resetsAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}.`)
+            )
+        )
+    )
+);
+
+const SignInForm = ({ onCreateAccount, onSignIn, onSignInWithProvider }) => {
+    const [mode, setMode] = useState('create'); // 'create' links the guest, 'signin' switches to an existing account
+    const [email, setEmail] = useState('');
+    const [password, setPassword] = useState('');
+    const [error, setError] = useState('');
+    const [isBusy, setIsBusy] = useState(false);
+
+    const run = async (action) => {
+        setIsBusy(true);
+        setError('');
+        try {
+            await action();
+        } catch (err) {
+            console.error("Sign-in error:", err);
+            setError(describeAuthError(err));
+        }
+        setIsBusy(false);
+    };
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        run(() => mode === 'create' ? onCreateAccount(email.trim(), password) : onSignIn(email.trim(), password));
+    };
+
+    return (
+        React.createElement("div", null,
+            React.createElement("p", { className: "text-sm text-gray-400 mb-4" },
+                mode === 'create'
+                    ? "You are chatting as a guest. Create an account to keep your chats when you switch browsers; everything you have so far stays."
+                    : "Sign in to an existing account. Your guest chats are copied into it."
+            ),
+            React.createElement("div", { className: "flex flex-col gap-2 mb-4" },
+                OAUTH_PROVIDERS.map(provider => (
+                    React.createElement("button", {
+                        key: provider.id,
+                        className: "w-full py-2 px-3 rounded-lg bg-gray-700 text-white hover:bg-gray-600 disabled:opacity-50",
+                        disabled: isBusy,
+                        onClick: () => run(() => onSignInWithProvider(provider.id))
+                    }, `Continue with ${provider.label}`)
+                ))
+            ),
+            React.createElement("form", { className: "flex flex-col gap-2", onSubmit: handleSubmit },
+                React.createElement("input", {
+                    type: "email",
+                    className: "w-full bg-gray-700 text-white px-3 py-2 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500",
+                    placeholder: "Email",
+                    autoComplete: "email",
+                    value: email,
+                    onChange: (e) => setEmail(e.target.value)
+                }),
+                React.createElement("input", {
+                    type: "password",
+                    className: "w-full bg-gray-700 text-white px-3 py-2 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500",
+                    placeholder: "Password",
+                    autoComplete: mode === 'create' ? "new-password" : "current-password",
+                    value: password,
+                    onChange: (e) => setPassword(e.target.value)
+                }),
+                error && React.createElement("p", { className: "text-xs text-red-400" }, error),
+                React.createElement("button", {
+                    type: "submit",
+                    className: "w-full py-2 px-3 rounded-lg bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50",
+                    disabled: isBusy || !email.trim() || !password
+                }, mode === 'create' ? "Create account" : "Sign in")
+            ),
+            React.createElement("button", {
+                className: "mt-3 text-xs text-gray-400 hover:text-white",
+                onClick: () => {
+                    setMode(mode === 'create' ? 'signin' : 'create');
+                    setError('');
+                }
+            }, mode === 'create' ? "Already have an account? Sign in" : "New here? Create an account")
+        )
+    );
+};
+
+export const AccountPanel = ({ profile, usage, serverUsage, isDemoMode, onCreateAccount, onSignIn, onSignInWithProvider, onSignOut, onClose }) => (
+    React.createElement("div", { className: "w-96 flex-shrink-0 flex flex-col bg-gray-800 border-l border-gray-700" },
+        React.createElement("div", { className: "p-4 border-b border-gray-700 flex items-center justify-between" },
+            React.createElement("h2", { className: "text-lg font-semibold text-white flex items-center" },
+                React.createElement(LucideIcon, { name: "CircleUser", size: 20, className: "mr-2" }),
+                "Account"
+            ),
+            React.createElement("button", { className: "text-gray-400 hover:text-white", onClick: onClose },
+                React.createElement(LucideIcon, { name: "X", size: 20 })
+            )
+        ),
+        React.createElement("div", { className: "flex-1 overflow-y-auto p-4" },
+            isDemoMode ? (
+                React.createElement(React.Fragment, null,
+                    React.createElement(PlanUsage, { serverUsage }),
+                    React.createElement("p", { className: "text-sm text-gray-400" }, "Accounts need a Firebase project. In demo mode your chats are saved in this browser only.")
+                )
+            ) : !profile ? (
+                React.createElement("p", { className: "text-sm text-gray-500" }, "Signing in...")
+            ) : (
+                React.createElement(React.Fragment, null,
+                    React.createElement("div", { className: "mb-6" },
+                        React.createElement("h3", { className: "text-xs font-semibold text-gray-500 uppercase mb-2" }, "Profile"),
+                        React.createElement(Row, { label: "Name", value: profile.isAnonymous ? "Guest" : profile.displayName || profile.email || "Signed in" }),
+                        profile.email && React.createElement(Row, { label: "Email", value: profile.email }),
+                        !profile.isAnonymous && React.createElement(Row, { label: "Sign-in", value: profile.providers.map(id => providerLabels[id] || id).join(', ') }),
+                        React.createElement(Row, { label: "User ID", value: profile.uid, mono: true }),
+                        profile.createdAt && React.createElement(Row, { label: "Member since", value: formatDate(profile.createdAt) })
+                    ),
+                    React.createElement("div", { className: "mb-6" },
+                        React.createElement("h3", { className: "text-xs font-semibold text-gray-500 uppercase mb-2" }, "Usage"),
+                        React.createElement(Row, { label: "Chats", value: usage.chats }),
+                        React.createElement(Row, { label: "Archived chats", value: usage.archived }),
+                        React.createElement(Row, { label: "Saved snippets", value: usage.snippets })
+                    ),
+                    React.createElement(PlanUsage, { serverUsage }),
+                    profile.isAnonymous ? (
+                        React.createElement(SignInForm, { onCreateAccount, onSignIn, onSignInWithProvider })
+                    ) : (
+                        React.createElement("button", { className: "w-full flex items-center justify-center py-2 px-3 rounded-lg bg-gray-700 text-white hover:bg-gray-600", onClick: onSignOut },
+                            React.createElement(LucideIcon, { name: "LogOut", size: 16, className: "mr-2" }),
+                            "Log out"
+                        )
+                    )
+                )
+            )
+        )
+    )
+);
@@ -0,0 +1,82 @@
+// "Apply to workspace" for a code block from a reply: pick the file it replaces (or a new one),
+// review the diff and apply it
+import { LucideIcon } from './LucideIcon.js';
+import { DiffView } from './DiffView.js';
+import { codeFileName, suggestTargetFile, uniqueFileName, validateFileName } from '../workspace.js';
+
+const { useState } = React;
+
+const NEW_FILE = 'new-file';
+
+const inputClassName = "w-full mt-1 bg-gray-700 text-white px-3 py-2 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500";
+
+// `codeFile` is { name, title, language, code } of the block; `onApply(file, name)` gets the file
+// to replace, or null and the name of the new file
+export const ApplyCodeDialog = ({ codeFile, files, activeFileId, onApply, onClose }) => {
+    const [targetId, setTargetId] = useState(() => suggestTargetFile(files, codeFile, activeFileId)?.id ?? NEW_FILE);
+    const [newName, setNewName] = useState(() => uniqueFileName(files, codeFileName(codeFile)));
+    const [isBusy, setIsBusy] = useState(false);
+    const [error, setError] = useState('');
+
+    const target = files.find(file => file.id === targetId) || null;
+    const nameProblem = target ? null : validateFileName(files, newName.trim());
+    const isUnchanged = target?.content === codeFile.code;
+
+    const apply = async (e) => {
+        e.preventDefault();
+        if (nameProblem || isUnchanged) return;
+        setIsBusy(true);
+        try {
+            await onApply(target, target ? target.name : newName.trim());
+        } catch (err) {
+            console.error("Error applying code to the workspace:", err);
+            setError("The file could not be saved. Try again.");
+            setIsBusy(false);
+        }
+    };
+
+    return (
+        React.createElement("div", { className: "fixed inset-0 z-20 flex items-center justify-center bg-black/60", onClick: onClose },
+            React.createElement("form", { className: "w-[48rem] max-w-full max-h-full flex flex-col p-5 rounded-lg bg-gray-800 border border-gray-700 shadow-lg", onClick: (e) => e.stopPropagation(), onSubmit: apply },
+                React.createElement("div", { className: "flex items-center justify-between mb-3" },
+                    React.createElement("h2", { className: "text-lg font-semibold text-white flex items-center" },
+                        React.createElement(LucideIcon, { name: "FileCode", size: 20, className: "mr-2" }),
+                        "Apply to workspace"
+                    ),
+                    React.createElement("button", { type: "button", className: "text-gray-400 hover:text-white", onClick: onClose },
+                        React.createElement(LucideIcon, { name: "X", size: 20 })
+                    )
+                ),
+                React.createElement("div", { className: "flex gap-3" },
+                    React.createElement("label", { className: "flex-1 text-sm text-gray-300" }, "File",
+                        React.createElement("select", { className: inputClassName, value: targetId, onChange: (e) => setTargetId(e.target.value) },
+                            files.map(file => React.createElement("option", { key: file.id, value: file.id }, `Replace ${file.name}`)),
+                            React.createElement("option", { value: NEW_FILE }, "New file")
+                        )
+                    ),
+                    !target && (
+                        React.createElement("label", { className: "flex-1 text-sm text-gray-300" }, "Name",
+                            React.createElement("input", { type: "text", className: inputClassName, value: newName, onChange: (e) => setNewName(e.target.value) })
+                        )
+                    )
+                ),
+                nameProblem && React.createElement("p", { className: "mt-2 text-xs text-red-400" }, nameProblem),
+                React.createElement("p", { className: "mt-4 mb-1 text-xs text-gray-400" },
+                    isUnchanged ? `${target.name} already contains this code.` : target ? `Changes to ${target.name}:` : "Content of the new file:"
+                ),
+                React.createElement("div", { className: "flex-1 min-h-0 overflow-y-auto" },
+                    React.createElement(DiffView, { before: (target?.content || '').replace(/\n$/, ''), after: codeFile.code.replace(/\n$/, '') })
+                ),
+                error && React.createElement("p", { className: "mb-2 text-xs text-red-400" }, error),
+                React.createElement("div", { className: "flex justify-end gap-2 mt-2" },
+                    React.createElement("button", { type: "button", className: "py-2 px-4 rounded-lg text-sm text-gray-300 hover:bg-gray-700", onClick: onClose }, "Cancel"),
+                    React.createElement("button", {
+                        type: "submit",
+                        className: "py-2 px-4 rounded-lg bg-blue-600 text-white text-sm hover:bg-blue-700 disabled:opacity-50",
+                        disabled: isBusy || !!nameProblem || isUnchanged
+                    }, target ? `Apply to ${target.name}` : `Create ${newName.trim() || 'file'}`)
+                )
+            )
+        )
+    );
+};
@@ -0,0 +1,35 @@
+// File attached to a message, shown collapsed to its name and size. Expanding it shows the content
+// as a code block, so attached Lua is highlighted and validated like code in replies.
+import { LucideIcon } from './LucideIcon.js';
+import { CodeBlock } from './CodeBlock.js';
+import { formatFileSize } from '../attachments.js';
+
+const { useState } = React;
+
+export const AttachmentBlock = ({ attachment, signatures, onApply }) => {
+    const [isOpen, setIsOpen] = useState(false);
+    const lineCount = attachment.content.trimEnd().split('\n').length;
+
+    return (
+        React.createElement("div", { className: "attachment-block" },
+            React.createElement("button", { type: "button", className: "w-full flex items-center px-3 py-2 text-sm text-left", "aria-expanded": isOpen, onClick: () => setIsOpen(!isOpen) },
+                React.createElement(LucideIcon, { name: isOpen ? "ChevronDown" : "ChevronRight", size: 14, className: "mr-1 flex-shrink-0" }),
+                React.createElement(LucideIcon, { name: attachment.language === 'lua' ? "FileCode" : "FileText", size: 16, className: "mr-2 flex-shrink-0" }),
+                React.createElement("span", { className: "truncate" }, attachment.name),
+                React.createElement("span", { className: "ml-auto pl-3 text-xs text-gray-400 whitespace-nowrap" },
+                    `${lineCount} line${lineCount === 1 ? '' : 's'} · ${formatFileSize(attachment.size)}`
+                )
+            ),
+            isOpen && (
+                React.createElement(CodeBlock, {
+                    code: attachment.content,
+                    language: attachment.language,
+                    signatures,
+                    fileName: attachment.name,
+                    title: attachment.name,
+                    onApply: attachment.language === 'lua' ? onApply : null
+                })
+            )
+        )
+    );
+};
@@ -0,0 +1,122 @@
+// Fenced code block from a message, highlighted for its language. Lua blocks, and untagged blocks
+// that parse as Lua, are validated against the Perception.cx API and show their diagnostics inline,
+// under the line they refer to.
+import { LucideIcon } from './LucideIcon.js';
+import { validateFence } from '../luaValidator.js';
+import { highlightCode, splitTokenLines, languageLabel } from '../highlight.js';
+import { copyToClipboard, downloadFile, fileExtension } from '../codeFiles.js';
+
+const { useState, useEffect, useMemo } = React;
+
+const FEEDBACK_MS = 2000;
+
+const summarize = (diagnostics) => {
+    if (diagnostics.some(diagnostic => diagnostic.kind === 'syntax')) return 'Syntax error';
+    return `${diagnostics.length} warning${diagnostics.length === 1 ? '' : 's'}`;
+};
+
+// `onSave({ title, language, code })` and `onApply({ name, title, language, code })` are optional;
+// without them the block has no "Save" or "Apply" action
+export const CodeBlock = ({ code, language, isOpen, signatures, fileName, title, onSave, onApply }) => {
+    const [copyState, setCopyState] = useState(null); // null, 'copied' or 'failed'
+    const [saveState, setSaveState] = useState(null); // null, 'saving', 'saved' or 'failed'
+
+    // Confirmation labels fall back to the plain action after a moment
+    useEffect(() => {
+        if (!copyState) return;
+        const timer = setTimeout(() => setCopyState(null), FEEDBACK_MS);
+        return () => clearTimeout(timer);
+    }, [copyState]);
+
+    useEffect(() => {
+        if (saveState !== 'saved' && saveState !== 'failed') return;
+        const timer = setTimeout(() => setSaveState(null), FEEDBACK_MS);
+        return () => clearTimeout(timer);
+    }, [saveState]);
+
+    const handleCopy = async () => {
+        try {
+            await copyToClipboard(code);
+            setCopyState('copied');
+        } catch (error) {
+            console.error("Error copying code:", error);
+            setCopyState('failed');
+        }
+    };
+
+    const handleSave = async () => {
+        setSaveState('saving');
+        try {
+            await onSave({ title: title || fileName, language, code });
+            setSaveState('saved');
+        } catch (error) {
+            console.error("Error saving snippet:", error);
+            setSaveState('failed');
+        }
+    };
+
+    // A block that is still streaming is incomplete, so it is only checked once its fence closes
+    const diagnostics = useMemo(() => isOpen ? [] : validateFence(code, language, signatures), [code, language, isOpen, signatures]);
+    const lines = useMemo(() => splitTokenLines(highlightCode(code.replace(/\n$/, ''), language)), [code, language]);
+
+    return (
+        React.createElement("div", { className: "code-block" },
+            React.createElement("div", { className: "code-header" },
+                React.createElement("span", { className: "flex items-center" },
+                    React.createElement(LucideIcon, { name: "Code", size: 14, className: "mr-1" }),
+                    languageLabel(language)
+                ),
+                diagnostics.length > 0 && (
+                    React.createElement("span", { className: `flex items-center mx-3 ${diagnostics[0].severity === 'error' ? 'text-red-400' : 'text-yellow-400'}` },
+                        React.createElement(LucideIcon, { name: "AlertTriangle", size: 14, className: "mr-1" }),
+                        summarize(diagnostics)
+                    )
+                ),
+                React.createElement("div", { className: "flex items-center gap-3 ml-auto" },
+                    React.createElement("button", { className: "flex items-center text-gray-400 hover:text-gray-100", onClick: handleCopy },
+                        React.createElement(LucideIcon, { name: copyState === 'copied' ? "Check" : "Copy", size: 14, className: "mr-1" }),
+                        copyState === 'copied' ? "Copied!" : copyState === 'failed' ? "Copy failed" : "Copy"
+                    ),
+                    !isOpen && (
+                        React.createElement("button", { className: "flex items-center text-gray-400 hover:text-gray-100", title: `Download as ${fileName}`, onClick: () => downloadFile(fileName, code) },
+                            React.createElement(LucideIcon, { name: "Download", size: 14, className: "mr-1" }),
+                            `Download .${fileExtension(language)}`
+                        )
+                    ),
+                    !isOpen && onSave && (
+                        React.createElement("button", { className: "flex items-center text-gray-400 hover:text-gray-100", title: "Save to your snippets", onClick: handleSave, disabled: saveState === 'saving' },
+                            React.createElement(LucideIcon, { name: saveState === 'saved' ? "Check" : "Bookmark", size: 14, className: "mr-1" }),
+                            saveState === 'saved' ? "Saved" : saveState === 'failed' ? "Save failed" : "Save"
+                        )
+                    ),
+                    !isOpen && onApply && (
+                        React.createElement("button", { className: "flex items-center text-gray-400 hover:text-gray-100", title: "Apply to a file in this chat's workspace", onClick: () => onApply({ name: fileName, title, language, code }) },
+                            React.createElement(LucideIcon, { name: "FileCode", size: 14, className: "mr-1" }),
+                            "Apply"
+                        )
+                    )
+                )
+            ),
+            React.createElement("pre", { className: "code-content" },
+                React.createElement("code", null,
+                    lines.map((tokens, i) => {
+                        // Errors at the end of input point one past the last line
+                        const lineDiagnostics = diagnostics.filter(diagnostic => Math.min(diagnostic.line, lines.length) === i + 1);
+                        return (
+                            React.createElement("div", { key: i, className: lineDiagnostics.length > 0 ? 'code-line-flagged' : undefined },
+                                tokens.length > 0
+                                    ? tokens.map((token, j) => React.createElement("span", { key: j, className: `token-${token.type}` }, token.text))
+                                    : ' ',
+                                lineDiagnostics.map((diagnostic, j) => (
+                                    React.createElement("div", { key: `diagnostic-${j}`, className: `code-diagnostic ${diagnostic.severity === 'error' ? 'text-red-400' : 'text-yellow-400'}` },
+                                        `${diagnostic.severity === 'error' ? 'Error' : 'Warning'} (line ${diagnostic.line}, col ${diagnostic.column}): ${diagnostic.message}`
+                                    )
+                                ))
+                            )
+                        );
+                    })
+                )
+            )
+        )
+    );
+};
@@ -0,0 +1,126 @@
+// Code editor of the workspace: a plain textarea laid over the highlighted code, so typing,
+// selection and undo stay native while the code is coloured like the blocks in replies. Lua is
+// validated against the Perception.cx API as it is edited; problems are flagged in the gutter and
+// listed under the editor.
+import { validateLua } from '../luaValidator.js';
+import { highlightCode, splitTokenLines } from '../highlight.js';
+
+const { useMemo, useRef, useLayoutEffect, useDeferredValue } = React;
+
+const INDENT = '    ';
+
+// Lines after which the next one is indented one level deeper
+const OPENS_BLOCK = /(?:\b(?:then|do|else|repeat)|\bfunction\b[^)]*\)|[{(])\s*(?:--.*)?$/;
+
+export const CodeEditor = ({ value, language, signatures, onChange }) => {
+    const textareaRef = useRef(null);
+    const pendingCaretRef = useRef(null); // Caret position to restore after an edit made by a key handler
+
+    // Validation may trail a fast typist by a render; highlighting must not, or it would drift from the text
+    const checkedValue = useDeferredValue(value);
+    const diagnostics = useMemo(() => language === 'lua' ? validateLua(checkedValue, signatures) : [], [checkedValue, language, signatures]);
+    const lines = useMemo(() => splitTokenLines(highlightCode(value, language)), [value, language]);
+
+    useLayoutEffect(() => {
+        const caret = pendingCaretRef.current;
+        if (caret === null || !textareaRef.current) return;
+        textareaRef.current.setSelectionRange(caret, caret);
+        pendingCaretRef.current = null;
+    }, [value]);
+
+    // Key handler edits go through the browser's editing commands, so they join its undo history
+    // like typed text. Where those commands are unavailable the value is replaced instead, which
+    // undo does not see.
+    const replaceRange = (start, end, text, caret = start + text.length) => {
+        const textarea = textareaRef.current;
+        textarea.setSelectionRange(start, end);
+        if (document.execCommand?.(text ? 'insertText' : 'delete', false, text)) {
+            textarea.setSelectionRange(caret, caret);
+            return;
+        }
+        pendingCaretRef.current = caret;
+        onChange(value.slice(0, start) + text + value.slice(end));
+    };
+
+    const handleKeyDown = (e) => {
+        const { selectionStart: start, selectionEnd: end } = e.target;
+        const lineStart = value.lastIndexOf('\n', start - 1) + 1;
+
+        if (e.key === 'Tab' && e.shiftKey) {
+            e.preventDefault();
+            const removed = value.slice(lineStart, lineStart + INDENT.length).match(/^ */)[0].length;
+            if (removed > 0) replaceRange(lineStart, lineStart + removed, '', Math.max(lineStart, start - removed));
+        } else if (e.key === 'Tab') {
+            e.preventDefault();
+            replaceRange(start, end, INDENT);
+        } else if (e.key === 'Enter' && !e.ctrlKey && !e.metaKey) {
+            // Keep the indentation of the current line, one level deeper after `then`, `do`, `function(...)`, ...
+            e.preventDefault();
+            const line = value.slice(lineStart, start);
+            replaceRange(start, end, `\n${line.match(/^[ \t]*/)[0]}${OPENS_BLOCK.test(line) ? INDENT : ''}`);
+        }
+    };
+
+    const jumpToLine = (lineNumber) => {
+        const offset = value.split('\n').slice(0, lineNumber - 1).reduce((sum, line) => sum + line.length + 1, 0);
+        const caret = Math.min(offset, value.length);
+        textareaRef.current.focus();
+        textareaRef.current.setSelectionRange(caret, caret);
+    };
+
+    // Errors at the end of input point one past the last line
+    const lineDiagnostics = (i) => diagnostics.filter(diagnostic => Math.min(diagnostic.line, lines.length) === i + 1);
+
+    return (
+        React.createElement("div", { className: "flex-1 flex flex-col min-h-0" },
+            React.createElement("div", { className: "code-editor flex-1", onClick: (e) => e.target === e.currentTarget && textareaRef.current.focus() },
+                React.createElement("div", { className: "code-editor-gutter" },
+                    lines.map((_, i) => {
+                        const flagged = lineDiagnostics(i);
+                        return (
+                            React.createElement("div", {
+                                key: i,
+                                className: flagged.length === 0 ? undefined : flagged.some(diagnostic => diagnostic.severity === 'error') ? 'text-red-400' : 'text-yellow-400',
+                                title: flagged.map(diagnostic => diagnostic.message).join('\n') || undefined
+                            }, i + 1)
+                        );
+                    })
+                ),
+                React.createElement("div", { className: "code-editor-body" },
+                    React.createElement("pre", { "aria-hidden": true },
+                        lines.map((tokens, i) => (
+                            React.createElement("div", { key: i, className: lineDiagnostics(i).length > 0 ? 'code-line-flagged' : undefined },
+                                tokens.length > 0
+                                    ? tokens.map((token, j) => React.createElement("span", { key: j, className: `token-${token.type}` }, token.text))
+                                    : ' '
+                            )
+                        ))
+                    ),
+                    React.createElement("textarea", {
+                        ref: textareaRef,
+                        value,
+                        rows: lines.length,
+                        wrap: "off",
+                        spellCheck: false,
+                        autoCapitalize: "off",
+                        autoComplete: "off",
+                        "aria-label": "File content",
+                        onChange: (e) => onChange(e.target.value),
+                        onKeyDown: handleKeyDown
+                    })
+                )
+            ),
+            diagnostics.length > 0 && (
+                React.createElement("div", { className: "max-h-32 overflow-y-auto border-t border-gray-700 py-1 text-xs" },
+                    diagnostics.map((diagnostic, i) => (
+                        React.createElement("button", {
+                            key: i,
+                            className: `block w-full text-left px-3 py-0.5 hover:bg-gray-700 ${diagnostic.severity === 'error' ? 'text-red-400' : 'text-yellow-400'}`,
+                            onClick: () => jumpToLine(diagnostic.line)
+                        }, `${diagnostic.severity === 'error' ? 'Error' : 'Warning'} (line ${diagnostic.line}, col ${diagnostic.column}): ${diagnostic.message}`)
+                    ))
+                )
+            )
+        )
+    );
+};
@@ -0,0 +1,28 @@
+// Unified line diff between two versions of a piece of code
+import { diffLines } from '../lineDiff.js';
+
+const { useMemo } = React;
+
+const LINE_STYLES = {
+    same: { prefix: ' ', className: 'text-gray-400' },
+    added: { prefix: '+', className: 'bg-green-900 bg-opacity-40 text-green-300' },
+    removed: { prefix: '-', className: 'bg-red-900 bg-opacity-40 text-red-300' },
+};
+
+export const DiffView = ({ before, after }) => {
+    const changes = useMemo(() => diffLines(before, after), [before, after]);
+
+    return (
+        React.createElement("div", { className: "code-block" },
+            React.createElement("pre", { className: "code-content" },
+                React.createElement("code", null,
+                    changes.map((change, i) => (
+                        React.createElement("div", { key: i, className: LINE_STYLES[change.type].className },
+                            `${LINE_STYLES[change.type].prefix} ${change.text}`
+                        )
+                    ))
+                )
+            )
+        )
+    );
+};
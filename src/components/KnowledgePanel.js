@@ -0,0 +1,184 @@
+// Knowledge sources of the current chat: the documentation and example files from knowledge.json
+// plus the ones the user added, each with a switch for this chat. Files that could not be loaded
+// are listed with the reason, so a broken path is noticed instead of quietly missing from answers.
+import { LucideIcon } from './LucideIcon.js';
+import { SOURCE_KINDS, isSourceEnabled, parseTags } from '../knowledge.js';
+
+const { useState } = React;
+
+const KIND_LABELS = { docs: 'Documentation', example: 'Lua examples' };
+
+const inputClassName = "w-full mt-1 bg-gray-700 text-white px-3 py-2 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500";
+
+const describeStatus = (source, status) => {
+    if (!status || status.status === 'loading') return 'Loading…';
+    if (status.status === 'missing') return status.error;
+    const count = status.chunks.length;
+    return `${count} ${source.kind === 'docs' ? 'section' : 'snippet'}${count === 1 ? '' : 's'}`;
+};
+
+const emptyDraft = { path: '', kind: 'example', title: '', tags: '', version: '' };
+
+// `status` maps source ids to { status: 'loading' | 'loaded' | 'missing', chunks?, error? }.
+// `onAddSource({ path, kind, title, tags, version })` may throw; its message is shown in the form.
+export const KnowledgePanel = ({ sources, status, session, manifestError, onToggleSources, onAddSource, onRemoveSource, onRetrySource, onClose }) => {
+    const [tagFilter, setTagFilter] = useState(null);
+    const [draft, setDraft] = useState(null); // Fields of the "Add a source" form while it is open
+    const [addError, setAddError] = useState('');
+    const [isAdding, setIsAdding] = useState(false);
+
+    const tags = [...new Set(sources.flatMap(source => source.tags))].sort();
+    const visibleSources = tagFilter ? sources.filter(source => source.tags.includes(tagFilter)) : sources;
+    const missingCount = sources.filter(source => status[source.id]?.status === 'missing').length;
+
+    const submitDraft = async (e) => {
+        e.preventDefault();
+        setIsAdding(true);
+        try {
+            await onAddSource({ ...draft, tags: parseTags(draft.tags) });
+            setDraft(null);
+            setAddError('');
+        } catch (error) {
+            setAddError(error.message);
+        } finally {
+            setIsAdding(false);
+        }
+    };
+
+    const renderSource = (source) => {
+        const sourceStatus = status[source.id];
+        const isMissing = sourceStatus?.status === 'missing';
+        return (
+            React.createElement("div", { key: source.id, className: "mb-2 p-2 rounded-lg bg-gray-900/40" },
+                React.createElement("label", { className: `flex items-start ${session ? 'cursor-pointer' : ''}` },
+                    React.createElement("input", {
+                        type: "checkbox",
+                        className: "mt-1 mr-2",
+                        checked: isSourceEnabled(session, source) && !isMissing,
+                        disabled: !session || isMissing,
+                        onChange: (e) => onToggleSources([source.id], e.target.checked)
+                    }),
+                    React.createElement("span", { className: "flex-1 min-w-0" },
+                        React.createElement("span", { className: "block text-sm text-gray-200 truncate", title: source.path }, source.title),
+                        React.createElement("span", { className: `block text-xs ${isMissing ? 'text-red-400' : 'text-gray-500'}` },
+                            [source.version && `v${source.version}`, describeStatus(source, sourceStatus)].filter(Boolean).join(' · ')
+                        )
+                    )
+                ),
+                React.createElement("div", { className: "flex flex-wrap items-center gap-1 mt-1 ml-5" },
+                    source.tags.map(tag => (
+                        React.createElement("button", {
+                            key: tag,
+                            className: `px-1.5 rounded text-xs ${tag === tagFilter ? 'bg-blue-600 text-white' : 'bg-gray-700 text-gray-400 hover:text-gray-100'}`,
+                            onClick: () => setTagFilter(tag === tagFilter ? null : tag)
+                        }, tag)
+                    )),
+                    React.createElement("span", { className: "flex-1" }),
+                    isMissing && (
+                        React.createElement("button", { className: "flex items-center text-xs text-gray-400 hover:text-gray-100", onClick: () => onRetrySource(source) },
+                            React.createElement(LucideIcon, { name: "RefreshCw", size: 12, className: "mr-1" }),
+                            "Retry"
+                        )
+                    ),
+                    source.custom && (
+                        React.createElement("button", { className: "flex items-center text-xs text-gray-400 hover:text-red-400 ml-2", onClick: () => onRemoveSource(source.id) },
+                            React.createElement(LucideIcon, { name: "Trash2", size: 12, className: "mr-1" }),
+                            "Remove"
+                        )
+                    )
+                )
+            )
+        );
+    };
+
+    return (
+        React.createElement("div", { className: "w-96 flex-shrink-0 flex flex-col bg-gray-800 border-l border-gray-700" },
+            React.createElement("div", { className: "p-4 border-b border-gray-700 flex items-center justify-between" },
+                React.createElement("h2", { className: "text-lg font-semibold text-white flex items-center" },
+                    React.createElement(LucideIcon, { name: "Brain", size: 20, className: "mr-2" }),
+                    "Knowledge"
+                ),
+                React.createElement("button", { className: "text-gray-400 hover:text-white", onClick: onClose },
+                    React.createElement(LucideIcon, { name: "X", size: 20 })
+                )
+            ),
+            React.createElement("div", { className: "flex-1 overflow-y-auto p-4" },
+                React.createElement("p", { className: "text-sm text-gray-400 mb-3" },
+                    session ? "Documentation and examples the AI looks up to answer in this chat." : "Start a chat to choose the sources it uses."
+                ),
+                manifestError && (
+                    React.createElement("p", { className: "mb-3 p-2 rounded-lg bg-red-900/40 border border-red-700 text-xs text-red-200" }, manifestError)
+                ),
+                missingCount > 0 && (
+                    React.createElement("p", { className: "mb-3 flex items-start text-xs text-red-400" },
+                        React.createElement(LucideIcon, { name: "AlertTriangle", size: 14, className: "mr-1 flex-shrink-0" }),
+                        `${missingCount} source${missingCount === 1 ? '' : 's'} could not be loaded and ${missingCount === 1 ? 'is' : 'are'} left out of answers.`
+                    )
+                ),
+                tags.length > 0 && (
+                    React.createElement("div", { className: "flex flex-wrap gap-1 mb-3" },
+                        tags.map(tag => (
+                            React.createElement("button", {
+                                key: tag,
+                                className: `px-2 py-0.5 rounded-full text-xs ${tag === tagFilter ? 'bg-blue-600 text-white' : 'bg-gray-700 text-gray-300 hover:bg-gray-600'}`,
+                                onClick: () => setTagFilter(tag === tagFilter ? null : tag)
+                            }, tag)
+                        ))
+                    )
+                ),
+                tagFilter && session && (
+                    React.createElement("div", { className: "flex gap-3 mb-3 text-xs" },
+                        React.createElement("button", { className: "text-gray-400 hover:text-gray-100", onClick: () => onToggleSources(visibleSources.map(source => source.id), true) }, `Use all tagged "${tagFilter}"`),
+                        React.createElement("button", { className: "text-gray-400 hover:text-gray-100", onClick: () => onToggleSources(visibleSources.map(source => source.id), false) }, "Turn them off")
+                    )
+                ),
+                SOURCE_KINDS.map(kind => {
+                    const kindSources = visibleSources.filter(source => source.kind === kind);
+                    return kindSources.length > 0 && (
+                        React.createElement("div", { key: kind, className: "mb-4" },
+                            React.createElement("h3", { className: "text-xs font-semibold uppercase text-gray-500 mb-2" }, KIND_LABELS[kind]),
+                            kindSources.map(renderSource)
+                        )
+                    );
+                }),
+                sources.length === 0 && !manifestError && (
+                    React.createElement("p", { className: "text-sm text-gray-500" }, "No knowledge sources yet.")
+                ),
+                draft ? (
+                    React.createElement("form", { className: "mt-2 p-3 rounded-lg bg-gray-900/40", onSubmit: submitDraft },
+                        React.createElement("label", { className: "block text-sm text-gray-300 mb-2" }, "URL or path",
+                            React.createElement("input", { type: "text", className: inputClassName, placeholder: "e.g. Examples/team/esp.lua", value: draft.path, autoFocus: true, onChange: (e) => setDraft({ ...draft, path: e.target.value }) })
+                        ),
+                        React.createElement("label", { className: "block text-sm text-gray-300 mb-2" }, "Kind",
+                            React.createElement("select", { className: inputClassName, value: draft.kind, onChange: (e) => setDraft({ ...draft, kind: e.target.value }) },
+                                SOURCE_KINDS.map(kind => React.createElement("option", { key: kind, value: kind }, KIND_LABELS[kind]))
+                            )
+                        ),
+                        React.createElement("label", { className: "block text-sm text-gray-300 mb-2" }, "Title (optional)",
+                            React.createElement("input", { type: "text", className: inputClassName, value: draft.title, onChange: (e) => setDraft({ ...draft, title: e.target.value }) })
+                        ),
+                        React.createElement("div", { className: "flex gap-2 mb-2" },
+                            React.createElement("label", { className: "flex-1 text-sm text-gray-300" }, "Tags",
+                                React.createElement("input", { type: "text", className: inputClassName, placeholder: "esp, team", value: draft.tags, onChange: (e) => setDraft({ ...draft, tags: e.target.value }) })
+                            ),
+                            React.createElement("label", { className: "w-24 text-sm text-gray-300" }, "Version",
+                                React.createElement("input", { type: "text", className: inputClassName, value: draft.version, onChange: (e) => setDraft({ ...draft, version: e.target.value }) })
+                            )
+                        ),
+                        addError && React.createElement("p", { className: "mb-2 text-xs text-red-400" }, addError),
+                        React.createElement("div", { className: "flex justify-end gap-2" },
+                            React.createElement("button", { type: "button", className: "py-1.5 px-3 rounded-lg text-sm text-gray-300 hover:bg-gray-700", onClick: () => { setDraft(null); setAddError(''); } }, "Cancel"),
+                            React.createElement("button", { type: "submit", className: "py-1.5 px-3 rounded-lg bg-blue-600 text-white text-sm hover:bg-blue-700 disabled:opacity-50", disabled: isAdding || !draft.path.trim() }, "Add source")
+                        )
+                    )
+                ) : (
+                    React.createElement("button", { className: "mt-2 flex items-center py-2 px-3 rounded-lg bg-gray-700 text-white text-sm hover:bg-gray-600", onClick: () => setDraft(emptyDraft) },
+                        React.createElement(LucideIcon, { name: "Plus", size: 16, className: "mr-2" }),
+                        "Add a source"
+                    )
+                ),
+                React.createElement("p", { className: "mt-3 text-xs text-gray-500" }, "Added sources are available in all your chats. The app's own sources are listed in knowledge.json.")
+            )
+        )
+    );
+};
@@ -0,0 +1,144 @@
+// Browsable Perception.cx API reference opened from the "Library" sidebar item
+import { LucideIcon } from './LucideIcon.js';
+
+const { useState, useMemo } = React;
+
+const EntryDetails = ({ entry, onBack, onAskAboutEntry }) => (
+    React.createElement("div", { className: "flex-1 overflow-y-auto p-4" },
+        React.createElement("button", { className: "flex items-center text-sm text-gray-400 hover:text-white mb-3", onClick: onBack },
+            React.createElement(LucideIcon, { name: "ArrowLeft", size: 16, className: "mr-1" }),
+            "Back"
+        ),
+        React.createElement("h3", { className: "font-mono text-lg text-white break-all" }, entry.name),
+        React.createElement("p", { className: "text-xs text-gray-500 mb-3" }, [entry.section, entry.subsection].filter(Boolean).join(' › ')),
+        React.createElement("div", { className: "code-block" },
+            React.createElement("pre", { className: "code-content" },
+                React.createElement("code", null, entry.signatures.join('\n'))
+            )
+        ),
+        entry.description && React.createElement("p", { className: "text-sm text-gray-200 mb-4" }, entry.description),
+        entry.parameters.length > 0 && (
+            React.createElement("div", { className: "mb-4" },
+                React.createElement("h4", { className: "text-xs font-semibold text-gray-500 uppercase mb-2" }, "Parameters"),
+                React.createElement("table", { className: "w-full text-sm" },
+                    React.createElement("tbody", null,
+                        entry.parameters.map(parameter => (
+                            React.createElement("tr", { key: parameter.name, className: "border-t border-gray-700 align-top" },
+                                React.createElement("td", { className: "py-1 pr-2 font-mono text-blue-300 whitespace-nowrap" }, parameter.name),
+                                React.createElement("td", { className: "py-1 pr-2 text-gray-400 whitespace-nowrap" }, `${parameter.type}${parameter.optional ? ' (optional)' : ''}`),
+                                React.createElement("td", { className: "py-1 text-gray-300" }, parameter.description)
+                            )
+                        ))
+                    )
+                )
+            )
+        ),
+        React.createElement("div", { className: "mb-4" },
+            React.createElement("h4", { className: "text-xs font-semibold text-gray-500 uppercase mb-2" }, "Returns"),
+            entry.returns.length > 0 ? (
+                entry.returns.map((result, i) => (
+                    React.createElement("p", { key: i, className: "text-sm text-gray-300" },
+                        result.type && React.createElement("span", { className: "font-mono text-blue-300 mr-2" }, result.type),
+                        result.description
+                    )
+                ))
+            ) : (
+                React.createElement("p", { className: "text-sm text-gray-500" }, entry.brief ? "Not documented" : "None")
+            )
+        ),
+        entry.example && (
+            React.createElement("div", { className: "mb-4" },
+                React.createElement("h4", { className: "text-xs font-semibold text-gray-500 uppercase mb-2" }, "Example"),
+                React.createElement("div", { className: "code-block" },
+                    React.createElement("pre", { className: "code-content" },
+                        React.createElement("code", null, entry.example)
+                    )
+                )
+            )
+        ),
+        entry.notes && React.createElement("p", { className: "text-sm text-gray-400 mb-4" }, entry.notes),
+        React.createElement("button", { className: "chatgpt-button-primary flex items-center justify-center w-full py-2 px-4 rounded-lg text-white font-semibold", onClick: () => onAskAboutEntry(entry) },
+            React.createElement(LucideIcon, { name: "MessageSquarePlus", size: 18, className: "mr-2" }),
+            "Ask about this function"
+        )
+    )
+);
+
+export const LibraryPanel = ({ reference, onAskAboutEntry, onClose }) => {
+    const [filter, setFilter] = useState('');
+    const [expandedNamespaceId, setExpandedNamespaceId] = useState(null);
+    const [selectedEntry, setSelectedEntry] = useState(null);
+
+    const needle = filter.trim().toLowerCase();
+    const namespaces = useMemo(() => {
+        if (!reference) return [];
+        if (!needle) return reference.namespaces;
+        return reference.namespaces
+            .map(namespace => ({
+                ...namespace,
+                entries: namespace.entries.filter(entry => entry.name.toLowerCase().includes(needle) || entry.description.toLowerCase().includes(needle))
+            }))
+            .filter(namespace => namespace.entries.length > 0);
+    }, [reference, needle]);
+
+    return (
+        React.createElement("div", { className: "w-96 flex-shrink-0 flex flex-col bg-gray-800 border-l border-gray-700" },
+            React.createElement("div", { className: "p-4 border-b border-gray-700 flex items-center justify-between" },
+                React.createElement("h2", { className: "text-lg font-semibold text-white flex items-center" },
+                    React.createElement(LucideIcon, { name: "Book", size: 20, className: "mr-2" }),
+                    "Library"
+                ),
+                React.createElement("button", { className: "text-gray-400 hover:text-white", onClick: onClose },
+                    React.createElement(LucideIcon, { name: "X", size: 20 })
+                )
+            ),
+            selectedEntry ? (
+                React.createElement(EntryDetails, { entry: selectedEntry, onBack: () => setSelectedEntry(null), onAskAboutEntry })
+            ) : (
+                React.createElement("div", { className: "flex-1 flex flex-col min-h-0" },
+                    React.createElement("div", { className: "p-4" },
+                        React.createElement("input", {
+                            type: "text",
+                            className: "w-full bg-gray-700 text-white px-3 py-2 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500",
+                            placeholder: "Filter functions...",
+                            value: filter,
+                            onChange: (e) => setFilter(e.target.value)
+                        })
+                    ),
+                    React.createElement("div", { className: "flex-1 overflow-y-auto px-4 pb-4" },
+                        !reference && React.createElement("p", { className: "text-sm text-gray-500" }, "Loading Perception.txt..."),
+                        reference && namespaces.length === 0 && React.createElement("p", { className: "text-sm text-gray-500" }, "No functions match this filter."),
+                        namespaces.map(namespace => {
+                            const isExpanded = Boolean(needle) || expandedNamespaceId === namespace.id;
+                            return (
+                                React.createElement("div", { key: namespace.id, className: "mb-1" },
+                                    React.createElement("button", {
+                                        className: "w-full flex items-center py-2 px-2 rounded-lg text-left text-gray-300 hover:bg-gray-700",
+                                        onClick: () => setExpandedNamespaceId(isExpanded ? null : namespace.id)
+                                    },
+                                        React.createElement(LucideIcon, { name: isExpanded ? "ChevronDown" : "ChevronRight", size: 16, className: "mr-1 flex-shrink-0" }),
+                                        React.createElement("span", { className: "flex-1" }, namespace.title),
+                                        React.createElement("span", { className: "text-xs text-gray-500" }, namespace.entries.length)
+                                    ),
+                                    isExpanded && (
+                                        React.createElement("div", { className: "ml-5 mb-2" },
+                                            !needle && React.createElement("p", { className: "text-xs text-gray-500 mb-1" }, namespace.description),
+                                            namespace.entries.map(entry => (
+                                                React.createElement("button", {
+                                                    key: entry.id,
+                                                    className: "block w-full text-left py-1 px-2 rounded font-mono text-sm text-blue-300 hover:bg-gray-700 truncate",
+                                                    title: entry.description,
+                                                    onClick: () => setSelectedEntry(entry)
+                                                }, entry.name)
+                                            ))
+                                        )
+                                    )
+                                )
+                            );
+                        })
+                    )
+                )
+            )
+        )
+    );
+};
@@ -0,0 +1,116 @@
+// Renders message text as Markdown. The parsed tree is turned into React elements directly,
+// so text from a reply can never become live HTML.
+import { CodeBlock } from './CodeBlock.js';
+import { LucideIcon } from './LucideIcon.js';
+import { parseMarkdown, inlineText } from '../markdown.js';
+import { collectCodeFiles, downloadFile, slugify } from '../codeFiles.js';
+import { createZip } from '../zip.js';
+
+const { useMemo } = React;
+
+const HEADING_CLASSES = {
+    1: "text-xl font-semibold mt-4 mb-2 text-gray-100",
+    2: "text-lg font-semibold mt-4 mb-2 text-gray-100",
+    3: "text-base font-semibold mt-3 mb-1 text-gray-100",
+};
+
+const renderInline = (nodes) => nodes.map((node, i) => {
+    switch (node.type) {
+        case 'code':
+            return React.createElement("code", { key: i, className: "inline-code" }, node.text);
+        case 'strong':
+            return React.createElement("strong", { key: i, className: "font-semibold" }, renderInline(node.children));
+        case 'em':
+            return React.createElement("em", { key: i }, renderInline(node.children));
+        case 'del':
+            return React.createElement("del", { key: i }, renderInline(node.children));
+        case 'link':
+            return React.createElement("a", { key: i, href: node.href, target: "_blank", rel: "noopener noreferrer", className: "text-blue-400 underline hover:text-blue-300" }, renderInline(node.children));
+        case 'break':
+            return React.createElement("br", { key: i });
+        default:
+            return node.text;
+    }
+});
+
+// `context` carries what code blocks need: { signatures, files: Map<block, file>, onSaveSnippet, onApplyCode }
+const renderBlocks = (blocks, context) => blocks.map((block, i) => {
+    switch (block.type) {
+        case 'heading':
+            return React.createElement(`h${block.level}`, { key: i, className: HEADING_CLASSES[block.level] || "text-sm font-semibold mt-3 mb-1 text-gray-200" }, renderInline(block.children));
+        case 'code':
+            return React.createElement(CodeBlock, {
+                key: i,
+                code: block.code,
+                language: block.language,
+                isOpen: block.isOpen,
+                signatures: context.signatures,
+                fileName: context.files.get(block)?.name,
+                title: context.files.get(block)?.title,
+                onSave: context.onSaveSnippet,
+                onApply: context.onApplyCode
+            });
+        case 'list':
+            return React.createElement(block.ordered ? "ol" : "ul", {
+                key: i,
+                start: block.ordered && block.start !== 1 ? block.start : undefined,
+                className: `${block.ordered ? 'list-decimal' : 'list-disc'} pl-6 mb-2 space-y-1`
+            },
+                block.items.map((item, j) => (
+                    // Items that are a single paragraph render inline, like a tight list
+                    React.createElement("li", { key: j },
+                        item.length === 1 && item[0].type === 'paragraph' ? renderInline(item[0].children) : renderBlocks(item, context)
+                    )
+                ))
+            );
+        case 'blockquote':
+            return React.createElement("blockquote", { key: i, className: "border-l-4 border-gray-500 pl-3 my-2 text-gray-300" }, renderBlocks(block.children, context));
+        case 'table':
+            return (
+                React.createElement("div", { key: i, className: "overflow-x-auto my-2" },
+                    React.createElement("table", { className: "text-sm border-collapse" },
+                        React.createElement("thead", null,
+                            React.createElement("tr", null,
+                                block.header.map((cell, j) => React.createElement("th", { key: j, className: "border border-gray-600 px-2 py-1 font-semibold", style: { textAlign: block.align[j] || 'left' } }, renderInline(cell)))
+                            )
+                        ),
+                        React.createElement("tbody", null,
+                            block.rows.map((row, j) => (
+                                React.createElement("tr", { key: j },
+                                    block.header.map((_, k) => React.createElement("td", { key: k, className: "border border-gray-600 px-2 py-1", style: { textAlign: block.align[k] || 'left' } }, row[k] ? renderInline(row[k]) : null))
+                                )
+                            ))
+                        )
+                    )
+                )
+            );
+        case 'rule':
+            return React.createElement("hr", { key: i, className: "my-4 border-gray-600" });
+        default:
+            return React.createElement("p", { key: i, className: "mb-2 last:mb-0" }, renderInline(block.children));
+    }
+});
+
+export const MarkdownMessage = ({ text, signatures, onSaveSnippet, onApplyCode }) => {
+    const blocks = useMemo(() => parseMarkdown(text), [text]);
+    const files = useMemo(() => collectCodeFiles(blocks), [blocks]);
+
+    // Several code blocks can be downloaded together as one zip, named after the message's first heading
+    const handleDownloadAll = () => {
+        const firstHeading = blocks.find(block => block.type === 'heading');
+        const zipName = `${slugify(firstHeading ? inlineText(firstHeading.children) : '') || 'perception-scripts'}.zip`;
+        downloadFile(zipName, createZip(files.map(file => ({ name: file.name, content: file.code }))));
+    };
+
+    return (
+        React.createElement(React.Fragment, null,
+            renderBlocks(blocks, { signatures, files: new Map(files.map(file => [file.block, file])), onSaveSnippet, onApplyCode }),
+            files.length > 1 && (
+                React.createElement("button", { className: "flex items-center text-xs text-gray-400 hover:text-gray-100 mt-1", onClick: handleDownloadAll },
+                    React.createElement(LucideIcon, { name: "Download", size: 14, className: "mr-1" }),
+                    `Download all (${files.length} files, .zip)`
+                )
+            )
+        )
+    );
+};
@@ -0,0 +1,177 @@
+// Prompt profiles: pick the one the current chat uses and the one new chats start with, and create
+// or edit custom ones.
+// Opened from the profile picker in the chat header.
+import { LucideIcon } from './LucideIcon.js';
+import { BUILTIN_PROFILES, GENERATION_LIMITS, createProfile, isBuiltinProfile, validateProfile } from '../promptProfiles.js';
+
+const { useState } = React;
+
+const inputClassName = "w-full bg-gray-700 text-white px-3 py-2 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:text-gray-400";
+
+// Empty fields mean "use the provider's default"
+const parseParameter = (value) => value === '' ? null : Number(value);
+
+const ProfileEditor = ({ profile, modelInfo, isDefault, onSave, onDelete, onDuplicate, onMakeDefault }) => {
+    const [draft, setDraft] = useState(profile);
+    const [error, setError] = useState('');
+    const [isBusy, setIsBusy] = useState(false);
+    const isBuiltin = isBuiltinProfile(profile);
+    const isChanged = Object.keys(draft).some(key => draft[key] !== profile[key]);
+
+    const change = (changes) => {
+        setDraft({ ...draft, ...changes });
+        setError('');
+    };
+
+    const save = async () => {
+        const problem = validateProfile(draft);
+        if (problem) {
+            setError(problem);
+            return;
+        }
+        setIsBusy(true);
+        try {
+            await onSave({ ...draft, name: draft.name.trim() });
+        } catch (err) {
+            console.error("Error saving prompt profile:", err);
+            setError("The profile could not be saved. Try again.");
+        }
+        setIsBusy(false);
+    };
+
+    // The configured models, plus the profile's own if the server no longer offers it
+    const models = [...new Set([...(modelInfo?.models || []), ...(draft.model ? [draft.model] : [])])];
+
+    return (
+        React.createElement("div", { className: "flex flex-col gap-3 mt-2 mb-4 p-3 rounded-lg bg-gray-900" },
+            isBuiltin && (
+                React.createElement("p", { className: "text-xs text-gray-500" }, "Built-in profiles cannot be changed. Duplicate this one to make your own version.")
+            ),
+            React.createElement("label", { className: "text-xs text-gray-400" }, "Name",
+                React.createElement("input", { type: "text", className: `${inputClassName} mt-1`, value: draft.name, disabled: isBuiltin, onChange: (e) => change({ name: e.target.value }) })
+            ),
+            React.createElement("label", { className: "text-xs text-gray-400" }, "System prompt",
+                React.createElement("textarea", { className: `${inputClassName} mt-1 h-48 text-xs font-mono`, value: draft.systemPrompt, readOnly: isBuiltin, onChange: (e) => change({ systemPrompt: e.target.value }) })
+            ),
+            React.createElement("label", { className: "text-xs text-gray-400" }, "Model",
+                React.createElement("select", { className: `${inputClassName} mt-1`, value: draft.model, disabled: isBuiltin, onChange: (e) => change({ model: e.target.value }) },
+                    React.createElement("option", { value: "" }, modelInfo ? `Server default (${modelInfo.defaultModel})` : "Server default"),
+                    models.map(model => React.createElement("option", { key: model, value: model }, model))
+                )
+            ),
+            React.createElement("div", { className: "grid grid-cols-3 gap-2" },
+                Object.entries(GENERATION_LIMITS).map(([name, { label, min, max, step }]) => (
+                    React.createElement("label", { key: name, className: "text-xs text-gray-400" }, label,
+                        React.createElement("input", {
+                            type: "number",
+                            className: `${inputClassName} mt-1`,
+                            min, max, step,
+                            placeholder: "Default",
+                            value: draft[name] ?? '',
+                            disabled: isBuiltin,
+                            onChange: (e) => change({ [name]: parseParameter(e.target.value) })
+                        })
+                    )
+                ))
+            ),
+            error && React.createElement("p", { className: "text-xs text-red-400" }, error),
+            React.createElement("div", { className: "flex items-center gap-2" },
+                !isBuiltin && (
+                    React.createElement("button", {
+                        className: "py-1.5 px-3 rounded-lg bg-blue-600 text-white text-sm hover:bg-blue-700 disabled:opacity-50",
+                        disabled: isBusy || !isChanged,
+                        onClick: save
+                    }, "Save")
+                ),
+                React.createElement("button", { className: "py-1.5 px-3 rounded-lg bg-gray-700 text-white text-sm hover:bg-gray-600", onClick: () => onDuplicate(draft) }, "Duplicate"),
+                !isDefault && (
+                    React.createElement("button", { className: "py-1.5 px-3 rounded-lg bg-gray-700 text-white text-sm hover:bg-gray-600", onClick: () => onMakeDefault(profile.id) }, "Use for new chats")
+                ),
+                !isBuiltin && (
+                    React.createElement("button", { className: "ml-auto flex items-center text-xs text-gray-400 hover:text-red-400", onClick: () => onDelete(profile.id) },
+                        React.createElement(LucideIcon, { name: "Trash2", size: 14, className: "mr-1" }),
+                        "Delete"
+                    )
+                )
+            )
+        )
+    );
+};
+
+export const ProfilesPanel = ({ profiles, activeProfileId, defaultProfileId, modelInfo, onUse, onMakeDefault, onSave, onDelete, onClose }) => {
+    const [expandedId, setExpandedId] = useState(null);
+
+    // A new profile is saved right away and opened for editing
+    const addProfile = async (source, name) => {
+        const profile = createProfile(source, name);
+        try {
+            await onSave(profile);
+            setExpandedId(profile.id);
+        } catch (error) {
+            console.error("Error creating prompt profile:", error);
+        }
+    };
+
+    return (
+        React.createElement("div", { className: "w-96 flex-shrink-0 flex flex-col bg-gray-800 border-l border-gray-700" },
+            React.createElement("div", { className: "p-4 border-b border-gray-700 flex items-center justify-between" },
+                React.createElement("h2", { className: "text-lg font-semibold text-white flex items-center" },
+                    React.createElement(LucideIcon, { name: "Settings2", size: 20, className: "mr-2" }),
+                    "Prompt profiles"
+                ),
+                React.createElement("button", { className: "text-gray-400 hover:text-white", onClick: onClose },
+                    React.createElement(LucideIcon, { name: "X", size: 20 })
+                )
+            ),
+            React.createElement("div", { className: "flex-1 overflow-y-auto p-4" },
+                React.createElement("p", { className: "text-sm text-gray-400 mb-4" }, "A profile sets the system prompt, model and generation parameters of a chat. Each chat keeps the profile you pick for it; new chats start with the default one."),
+                React.createElement("button", {
+                    className: "w-full flex items-center justify-center py-2 px-3 mb-4 rounded-lg bg-gray-700 text-white hover:bg-gray-600",
+                    onClick: () => addProfile(BUILTIN_PROFILES[0], "New profile")
+                },
+                    React.createElement(LucideIcon, { name: "Plus", size: 16, className: "mr-2" }),
+                    "New profile"
+                ),
+                profiles.map(profile => {
+                    const isExpanded = expandedId === profile.id;
+                    const isActive = profile.id === activeProfileId;
+                    return (
+                        React.createElement("div", { key: profile.id },
+                            React.createElement("div", { className: `flex items-center py-2 px-2 rounded-lg ${isActive ? 'bg-gray-700' : 'hover:bg-gray-700'}` },
+                                React.createElement("button", {
+                                    className: "flex-1 flex items-center min-w-0 text-left text-gray-300",
+                                    onClick: () => setExpandedId(isExpanded ? null : profile.id)
+                                },
+                                    React.createElement(LucideIcon, { name: isExpanded ? "ChevronDown" : "ChevronRight", size: 16, className: "mr-1 flex-shrink-0" }),
+                                    React.createElement("span", { className: "truncate" }, profile.name),
+                                    isBuiltinProfile(profile) && React.createElement("span", { className: "ml-2 text-xs text-gray-500" }, "Built-in"),
+                                    profile.id === defaultProfileId && React.createElement("span", { className: "ml-2 text-xs text-gray-500", title: "New chats start with this profile" }, "Default")
+                                ),
+                                isActive ? (
+                                    React.createElement("span", { className: "flex items-center text-xs text-blue-400 ml-2" },
+                                        React.createElement(LucideIcon, { name: "Check", size: 14, className: "mr-1" }),
+                                        "In use"
+                                    )
+                                ) : (
+                                    React.createElement("button", { className: "text-xs text-gray-400 hover:text-white ml-2", onClick: () => onUse(profile.id) }, "Use")
+                                )
+                            ),
+                            isExpanded && (
+                                React.createElement(ProfileEditor, {
+                                    key: profile.id,
+                                    profile,
+                                    modelInfo,
+                                    isDefault: profile.id === defaultProfileId,
+                                    onSave,
+                                    onDelete,
+                                    onDuplicate: (source) => addProfile(source),
+                                    onMakeDefault
+                                })
+                            )
+                        )
+                    );
+                })
+            )
+        )
+    );
+};
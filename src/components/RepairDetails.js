@@ -0,0 +1,29 @@
+// Note under an AI message whose Lua was regenerated by the self-repair loop,
+// with a diff between the code of the first and the final attempt
+import { LucideIcon } from './LucideIcon.js';
+import { DiffView } from './DiffView.js';
+import { extractLuaBlocks } from '../luaRepair.js';
+
+const { useState } = React;
+
+export const RepairDetails = ({ repair, text }) => {
+    const [showDiff, setShowDiff] = useState(false);
+
+    return (
+        React.createElement("div", { className: "mt-2 text-xs text-gray-400" },
+            React.createElement("div", { className: "flex items-center" },
+                React.createElement(LucideIcon, { name: repair.resolved ? "WandSparkles" : "AlertTriangle", size: 14, className: `mr-1 ${repair.resolved ? 'text-green-400' : 'text-yellow-400'}` }),
+                repair.resolved
+                    ? `Lua auto-repaired after ${repair.attempts} attempts`
+                    : `Lua still fails validation after ${repair.attempts} attempts`,
+                React.createElement("button", { className: "ml-2 underline hover:text-gray-100", onClick: () => setShowDiff(!showDiff) },
+                    showDiff ? "Hide diff" : "Show diff"
+                )
+            ),
+            showDiff && React.createElement(DiffView, {
+                before: extractLuaBlocks(repair.originalText).join('\n\n'),
+                after: extractLuaBlocks(text).join('\n\n')
+            })
+        )
+    );
+};
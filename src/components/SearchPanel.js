@@ -0,0 +1,69 @@
+// Search across the titles and messages of every chat. Opened from the "Search chats" sidebar item.
+import { LucideIcon } from './LucideIcon.js';
+import { searchChats } from '../chatSearch.js';
+
+const { useState, useMemo } = React;
+
+const Highlighted = ({ segments }) => (
+    segments.map((segment, i) => segment.highlight ? (
+        React.createElement("mark", { key: i, className: "search-match" }, segment.text)
+    ) : segment.text)
+);
+
+// `unsearchedCount` chats have messages the search has not read yet; `onSearchMore` reads the next page of them
+export const SearchPanel = ({ index, indexVersion, sessionIds, unsearchedCount, onSearchMore, onOpenResult, onClose }) => {
+    const [query, setQuery] = useState('');
+
+    // indexVersion changes whenever a session is re-indexed
+    const results = useMemo(() => searchChats(index, query, sessionIds), [index, indexVersion, query, sessionIds]);
+
+    return (
+        React.createElement("div", { className: "w-96 flex-shrink-0 flex flex-col bg-gray-800 border-l border-gray-700" },
+            React.createElement("div", { className: "p-4 border-b border-gray-700 flex items-center justify-between" },
+                React.createElement("h2", { className: "text-lg font-semibold text-white flex items-center" },
+                    React.createElement(LucideIcon, { name: "Search", size: 20, className: "mr-2" }),
+                    "Search chats"
+                ),
+                React.createElement("button", { className: "text-gray-400 hover:text-white", onClick: onClose },
+                    React.createElement(LucideIcon, { name: "X", size: 20 })
+                )
+            ),
+            React.createElement("div", { className: "p-4" },
+                React.createElement("input", {
+                    type: "search",
+                    className: "w-full bg-gray-700 text-white px-3 py-2 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500",
+                    placeholder: "Search titles and messages...",
+                    value: query,
+                    autoFocus: true,
+                    onChange: (e) => setQuery(e.target.value)
+                }),
+                query.trim() && (
+                    React.createElement("p", { className: "text-xs text-gray-500 mt-2" }, results.length === 1 ? "1 result" : `${results.length} results`)
+                ),
+                unsearchedCount > 0 && (
+                    React.createElement("p", { className: "text-xs text-gray-500 mt-2" },
+                        unsearchedCount === 1 ? "1 chat is only searched by title. " : `${unsearchedCount} chats are only searched by title. `,
+                        React.createElement("button", { className: "text-blue-400 hover:underline", onClick: onSearchMore }, "Search their messages")
+                    )
+                )
+            ),
+            React.createElement("div", { className: "flex-1 overflow-y-auto px-4 pb-4" },
+                results.map(result => (
+                    React.createElement("button", {
+                        key: `${result.sessionId}:${result.messageId}`,
+                        className: "w-full text-left py-2 px-2 mb-1 rounded-lg hover:bg-gray-700",
+                        onClick: () => onOpenResult(result)
+                    },
+                        React.createElement("p", { className: "flex items-center text-xs text-gray-500 mb-1" },
+                            React.createElement(LucideIcon, { name: result.messageId === null ? "MessageSquareText" : result.sender === 'user' ? "User" : "Bot", size: 12, className: "mr-1 flex-shrink-0" }),
+                            React.createElement("span", { className: "truncate" }, result.messageId === null ? "Chat title" : result.sessionTitle)
+                        ),
+                        React.createElement("p", { className: "text-sm text-gray-300 break-words" },
+                            React.createElement(Highlighted, { segments: result.segments })
+                        )
+                    )
+                ))
+            )
+        )
+    );
+};
@@ -0,0 +1,136 @@
+// One chat in the sidebar list, with a context menu (right-click or the "…" button) to rename,
+// pin, share, export, archive or delete it. Renaming happens inline; deleting asks for confirmation first.
+// `onShare` is optional; without it (demo mode) the menu has no "Share" item.
+import { LucideIcon } from './LucideIcon.js';
+
+const { useState, useEffect, useRef } = React;
+
+const MenuItem = ({ icon, label, onClick, danger = false }) => (
+    React.createElement("button", {
+        className: `w-full flex items-center px-3 py-2 text-sm text-left hover:bg-gray-600 ${danger ? 'text-red-400' : 'text-gray-200'}`,
+        onClick
+    },
+        React.createElement(LucideIcon, { name: icon, size: 16, className: "mr-2" }),
+        label
+    )
+);
+
+export const SessionItem = ({ session, isActive, onSelect, onRename, onTogglePin, onShare, onExport, onToggleArchive, onDelete }) => {
+    const [isMenuOpen, setIsMenuOpen] = useState(false);
+    const [isConfirmingDelete, setIsConfirmingDelete] = useState(false);
+    const [draftTitle, setDraftTitle] = useState(null); // Non-null while renaming
+    const itemRef = useRef(null);
+    const cancelRenameRef = useRef(false);
+
+    // Close the menu when clicking anywhere else
+    useEffect(() => {
+        if (!isMenuOpen) return;
+        const handlePointerDown = (e) => {
+            if (!itemRef.current?.contains(e.target)) closeMenu();
+        };
+        document.addEventListener('mousedown', handlePointerDown);
+        return () => document.removeEventListener('mousedown', handlePointerDown);
+    }, [isMenuOpen]);
+
+    const closeMenu = () => {
+        setIsMenuOpen(false);
+        setIsConfirmingDelete(false);
+    };
+
+    const runAction = (action) => (e) => {
+        e.stopPropagation();
+        closeMenu();
+        action();
+    };
+
+    // Enter and Escape both leave the input through blur, so the rename is committed exactly once
+    const commitRename = () => {
+        const title = draftTitle?.trim();
+        setDraftTitle(null);
+        if (cancelRenameRef.current) {
+            cancelRenameRef.current = false;
+            return;
+        }
+        if (title && title !== session.title) onRename(title);
+    };
+
+    return (
+        React.createElement("div", { ref: itemRef, className: "relative group" },
+            React.createElement("div", {
+                className: `sidebar-item flex items-center py-2 px-3 rounded-lg cursor-pointer ${isActive ? 'bg-gray-700 text-white' : 'text-gray-400 hover:bg-gray-700'}`,
+                onClick: () => draftTitle === null && onSelect(),
+                onContextMenu: (e) => {
+                    e.preventDefault();
+                    setIsMenuOpen(true);
+                }
+            },
+                React.createElement(LucideIcon, { name: session.pinned ? "Pin" : "MessageSquareText", size: 20, className: "mr-2 flex-shrink-0" }),
+                draftTitle !== null ? (
+                    React.createElement("input", {
+                        type: "text",
+                        className: "flex-1 min-w-0 bg-gray-900 text-white px-1 rounded focus:outline-none focus:ring-1 focus:ring-blue-500",
+                        value: draftTitle,
+                        autoFocus: true,
+                        onChange: (e) => setDraftTitle(e.target.value),
+                        onClick: (e) => e.stopPropagation(),
+                        onBlur: commitRename,
+                        onKeyDown: (e) => {
+                            if (e.key === 'Escape') cancelRenameRef.current = true;
+                            if (e.key === 'Enter' || e.key === 'Escape') e.currentTarget.blur();
+                        }
+                    })
+                ) : (
+                    React.createElement("span", { className: "flex-1 truncate" }, session.title)
+                ),
+                session.shareId && draftTitle === null && (
+                    React.createElement("span", { className: "ml-1 text-gray-500", title: "Shared with a link" },
+                        React.createElement(LucideIcon, { name: "Share2", size: 14 })
+                    )
+                ),
+                draftTitle === null && (
+                    React.createElement("button", {
+                        className: `ml-1 text-gray-400 hover:text-white ${isMenuOpen ? '' : 'opacity-0 group-hover:opacity-100'}`,
+                        title: "Chat options",
+                        onClick: (e) => {
+                            e.stopPropagation();
+                            isMenuOpen ? closeMenu() : setIsMenuOpen(true);
+                        }
+                    },
+                        React.createElement(LucideIcon, { name: "Ellipsis", size: 16 })
+                    )
+                )
+            ),
+            isMenuOpen && (
+                React.createElement("div", { className: "absolute right-0 z-10 mt-1 w-48 py-1 rounded-lg bg-gray-700 border border-gray-600 shadow-lg" },
+                    isConfirmingDelete ? (
+                        React.createElement("div", { className: "px-3 py-2" },
+                            React.createElement("p", { className: "text-sm text-gray-200 mb-2" }, "Delete this chat? This cannot be undone."),
+                            React.createElement("div", { className: "flex justify-end gap-2" },
+                                React.createElement("button", { className: "px-2 py-1 text-xs rounded text-gray-300 hover:bg-gray-600", onClick: runAction(() => {}) }, "Cancel"),
+                                React.createElement("button", { className: "px-2 py-1 text-xs rounded bg-red-600 hover:bg-red-700 text-white", onClick: runAction(onDelete) }, "Delete")
+                            )
+                        )
+                    ) : (
+                        React.createElement(React.Fragment, null,
+                            React.createElement(MenuItem, { icon: "Pencil", label: "Rename", onClick: runAction(() => setDraftTitle(session.title)) }),
+                            React.createElement(MenuItem, { icon: session.pinned ? "PinOff" : "Pin", label: session.pinned ? "Unpin" : "Pin to top", onClick: runAction(onTogglePin) }),
+                            onShare && React.createElement(MenuItem, { icon: "Share2", label: session.shareId ? "Shared link" : "Share", onClick: runAction(onShare) }),
+                            React.createElement(MenuItem, { icon: "FileText", label: "Export as Markdown", onClick: runAction(() => onExport('markdown')) }),
+                            React.createElement(MenuItem, { icon: "Download", label: "Export as JSON", onClick: runAction(() => onExport('json')) }),
+                            React.createElement(MenuItem, { icon: session.archived ? "ArchiveRestore" : "Archive", label: session.archived ? "Unarchive" : "Archive", onClick: runAction(onToggleArchive) }),
+                            React.createElement(MenuItem, {
+                                icon: "Trash2",
+                                label: "Delete",
+                                danger: true,
+                                onClick: (e) => {
+                                    e.stopPropagation();
+                                    setIsConfirmingDelete(true);
+                                }
+                            })
+                        )
+                    )
+                )
+            )
+        )
+    );
+};
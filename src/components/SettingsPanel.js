@@ -0,0 +1,41 @@
+// Preferences opened from the "Settings" sidebar item
+import { LucideIcon } from './LucideIcon.js';
+
+export const SettingsPanel = ({ settings, onChange, onClose }) => (
+    React.createElement("div", { className: "w-96 flex-shrink-0 flex flex-col bg-gray-800 border-l border-gray-700" },
+        React.createElement("div", { className: "p-4 border-b border-gray-700 flex items-center justify-between" },
+            React.createElement("h2", { className: "text-lg font-semibold text-white flex items-center" },
+                React.createElement(LucideIcon, { name: "Settings", size: 20, className: "mr-2" }),
+                "Settings"
+            ),
+            React.createElement("button", { className: "text-gray-400 hover:text-white", onClick: onClose },
+                React.createElement(LucideIcon, { name: "X", size: 20 })
+            )
+        ),
+        React.createElement("div", { className: "flex-1 overflow-y-auto p-4" },
+            React.createElement("label", { className: "flex items-start cursor-pointer" },
+                React.createElement("input", {
+                    type: "checkbox",
+                    className: "mt-1 mr-3",
+                    checked: settings.autoRepairLua,
+                    onChange: (e) => onChange({ autoRepairLua: e.target.checked })
+                }),
+                React.createElement("span", null,
+                    React.createElement("span", { className: "block text-sm text-white" }, "Auto-repair generated Lua"),
+                    React.createElement("span", { className: "block text-xs text-gray-500" }, "When a reply's Lua fails to parse or calls an undocumented function, send the problems back to the model and regenerate the reply.")
+                )
+            ),
+            React.createElement("label", { className: `flex items-center justify-between mt-4 ml-7 text-sm ${settings.autoRepairLua ? 'text-gray-300' : 'text-gray-600'}` },
+                "Maximum attempts per reply",
+                React.createElement("select", {
+                    className: "bg-gray-700 text-white rounded px-2 py-1",
+                    value: settings.maxRepairAttempts,
+                    disabled: !settings.autoRepairLua,
+                    onChange: (e) => onChange({ maxRepairAttempts: Number(e.target.value) })
+                },
+                    [2, 3, 4, 5].map(count => React.createElement("option", { key: count, value: count }, count))
+                )
+            )
+        )
+    )
+);
@@ -0,0 +1,82 @@
+// Dialog for a chat's read-only link: create it, copy it, refresh the snapshot or revoke it.
+// Opened from "Share" in the chat's menu.
+import { LucideIcon } from './LucideIcon.js';
+import { shareLink } from '../sharing.js';
+import { copyToClipboard } from '../codeFiles.js';
+
+const { useState } = React;
+
+export const ShareDialog = ({ session, onShare, onRevoke, onClose }) => {
+    const [isBusy, setIsBusy] = useState(false);
+    const [error, setError] = useState('');
+    const [copied, setCopied] = useState(false);
+    const link = session.shareId ? shareLink(session.shareId) : null;
+
+    const run = async (action) => {
+        setIsBusy(true);
+        setError('');
+        try {
+            await action();
+        } catch (err) {
+            console.error("Sharing error:", err);
+            setError(err.message || "Something went wrong. Please try again.");
+        }
+        setIsBusy(false);
+    };
+
+    const handleCopy = async () => {
+        try {
+            await copyToClipboard(link);
+            setCopied(true);
+            setTimeout(() => setCopied(false), 1500);
+        } catch (err) {
+            console.error("Copy failed:", err);
+        }
+    };
+
+    return (
+        React.createElement("div", { className: "fixed inset-0 z-20 flex items-center justify-center bg-black/60", onClick: onClose },
+            React.createElement("div", { className: "w-[28rem] max-w-full p-5 rounded-lg bg-gray-800 border border-gray-700 shadow-lg", onClick: (e) => e.stopPropagation() },
+                React.createElement("div", { className: "flex items-center justify-between mb-3" },
+                    React.createElement("h2", { className: "text-lg font-semibold text-white flex items-center min-w-0" },
+                        React.createElement(LucideIcon, { name: "Share2", size: 20, className: "mr-2 flex-shrink-0" }),
+                        React.createElement("span", { className: "truncate" }, `Share "${session.title}"`)
+                    ),
+                    React.createElement("button", { className: "text-gray-400 hover:text-white", onClick: onClose },
+                        React.createElement(LucideIcon, { name: "X", size: 20 })
+                    )
+                ),
+                link ? (
+                    React.createElement(React.Fragment, null,
+                        React.createElement("p", { className: "text-sm text-gray-400 mb-3" }, "Anyone with this link can read a snapshot of the chat as it was when the link was last updated. New messages stay private until you update it."),
+                        React.createElement("div", { className: "flex gap-2 mb-4" },
+                            React.createElement("input", {
+                                type: "text",
+                                readOnly: true,
+                                className: "flex-1 min-w-0 bg-gray-700 text-gray-200 text-sm px-3 py-2 rounded-lg focus:outline-none",
+                                value: link,
+                                onFocus: (e) => e.target.select()
+                            }),
+                            React.createElement("button", { className: "flex items-center px-3 py-2 rounded-lg bg-blue-600 text-white text-sm hover:bg-blue-700", onClick: handleCopy },
+                                React.createElement(LucideIcon, { name: copied ? "Check" : "Copy", size: 16, className: "mr-1" }),
+                                copied ? "Copied" : "Copy"
+                            )
+                        ),
+                        React.createElement("div", { className: "flex justify-between" },
+                            React.createElement("button", { className: "px-3 py-2 rounded-lg text-sm text-red-400 hover:bg-gray-700 disabled:opacity-50", disabled: isBusy, onClick: () => run(onRevoke) }, "Stop sharing"),
+                            React.createElement("button", { className: "px-3 py-2 rounded-lg text-sm bg-gray-700 text-white hover:bg-gray-600 disabled:opacity-50", disabled: isBusy, onClick: () => run(onShare) }, "Update snapshot")
+                        )
+                    )
+                ) : (
+                    React.createElement(React.Fragment, null,
+                        React.createElement("p", { className: "text-sm text-gray-400 mb-4" }, "Create a read-only link to a snapshot of this chat. Anyone with the link can read it without signing in, and you can revoke it at any time."),
+                        React.createElement("div", { className: "flex justify-end" },
+                            React.createElement("button", { className: "px-3 py-2 rounded-lg text-sm bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50", disabled: isBusy, onClick: () => run(onShare) }, isBusy ? "Creating link..." : "Create link")
+                        )
+                    )
+                ),
+                error && React.createElement("p", { className: "text-xs text-red-400 mt-3" }, error)
+            )
+        )
+    );
+};
@@ -0,0 +1,62 @@
+// Read-only page for a shared chat link (`?share=<id>`). It replaces the whole app, so visitors
+// never touch chats of their own.
+import { LucideIcon } from './LucideIcon.js';
+import { MarkdownMessage } from './MarkdownMessage.js';
+import { AttachmentBlock } from './AttachmentBlock.js';
+import { loadSharedChat } from '../sharing.js';
+
+const { useState, useEffect } = React;
+
+export const SharedChatView = ({ db, appId, shareId }) => {
+    const [chat, setChat] = useState(null);
+    const [status, setStatus] = useState('loading'); // 'loading', 'ready', 'missing' or 'error'
+
+    useEffect(() => {
+        if (!db) {
+            setStatus('error');
+            return;
+        }
+        loadSharedChat(db, appId, shareId).then((snapshot) => {
+            setChat(snapshot?.chat ?? null);
+            setStatus(snapshot ? 'ready' : 'missing');
+        }).catch((error) => {
+            console.error("Error loading shared chat:", error);
+            setStatus('error');
+        });
+    }, [db, appId, shareId]);
+
+    const notice = {
+        loading: "Loading shared chat...",
+        missing: "This link was revoked or never existed.",
+        error: "The shared chat could not be loaded.",
+    }[status];
+
+    return (
+        React.createElement("div", { className: "flex flex-col h-screen bg-gray-900 text-gray-100" },
+            React.createElement("div", { className: "p-4 border-b border-gray-700 flex items-center justify-between" },
+                React.createElement("div", { className: "min-w-0" },
+                    React.createElement("h2", { className: "text-lg font-semibold text-white truncate" }, chat?.title || "Shared chat"),
+                    React.createElement("p", { className: "text-xs text-gray-500 flex items-center" },
+                        React.createElement(LucideIcon, { name: "Eye", size: 12, className: "mr-1" }),
+                        "Read-only snapshot"
+                    )
+                ),
+                React.createElement("a", { className: "text-sm text-blue-400 hover:text-blue-300 flex-shrink-0 ml-4", href: location.pathname }, "Open Perception AI")
+            ),
+            React.createElement("div", { className: "flex-1 overflow-y-auto p-4" },
+                notice ? (
+                    React.createElement("p", { className: "text-center text-gray-500 mt-10" }, notice)
+                ) : (
+                    chat.messages.map(message => (
+                        React.createElement("div", { key: message.id, className: `flex mb-4 ${message.sender === 'user' ? 'justify-end' : 'justify-start'}` },
+                            React.createElement("div", { className: `message-bubble p-3 rounded-lg max-w-[70%] ${message.sender === 'user' ? 'bg-blue-600 text-white' : 'bg-gray-700 text-gray-100'}` },
+                                message.text && React.createElement(MarkdownMessage, { text: message.text }),
+                                message.attachments?.map(attachment => React.createElement(AttachmentBlock, { key: attachment.id, attachment }))
+                            )
+                        )
+                    ))
+                )
+            )
+        )
+    );
+};
@@ -0,0 +1,82 @@
+// Code blocks the user saved from replies, reusable across chats. Opened from the "Snippets" sidebar item.
+import { LucideIcon } from './LucideIcon.js';
+import { CodeBlock } from './CodeBlock.js';
+import { fileExtension, slugify } from '../codeFiles.js';
+import { languageLabel } from '../highlight.js';
+
+const { useState } = React;
+
+const formatDate = (value) => {
+    const date = value?.toDate ? value.toDate() : new Date(value);
+    return Number.isNaN(date.getTime()) ? '' : date.toLocaleDateString();
+};
+
+export const SnippetsPanel = ({ snippets, signatures, onDelete, onClose }) => {
+    const [filter, setFilter] = useState('');
+    const [expandedId, setExpandedId] = useState(null);
+
+    const needle = filter.trim().toLowerCase();
+    const visibleSnippets = needle
+        ? snippets.filter(snippet => snippet.title.toLowerCase().includes(needle) || snippet.code.toLowerCase().includes(needle))
+        : snippets;
+
+    return (
+        React.createElement("div", { className: "w-96 flex-shrink-0 flex flex-col bg-gray-800 border-l border-gray-700" },
+            React.createElement("div", { className: "p-4 border-b border-gray-700 flex items-center justify-between" },
+                React.createElement("h2", { className: "text-lg font-semibold text-white flex items-center" },
+                    React.createElement(LucideIcon, { name: "Bookmark", size: 20, className: "mr-2" }),
+                    "Snippets"
+                ),
+                React.createElement("button", { className: "text-gray-400 hover:text-white", onClick: onClose },
+                    React.createElement(LucideIcon, { name: "X", size: 20 })
+                )
+            ),
+            React.createElement("div", { className: "p-4" },
+                React.createElement("input", {
+                    type: "text",
+                    className: "w-full bg-gray-700 text-white px-3 py-2 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500",
+                    placeholder: "Filter snippets...",
+                    value: filter,
+                    onChange: (e) => setFilter(e.target.value)
+                })
+            ),
+            React.createElement("div", { className: "flex-1 overflow-y-auto px-4 pb-4" },
+                snippets.length === 0 && (
+                    React.createElement("p", { className: "text-sm text-gray-500" }, "Use \"Save\" on a code block to keep it here and reuse it in any chat.")
+                ),
+                snippets.length > 0 && visibleSnippets.length === 0 && (
+                    React.createElement("p", { className: "text-sm text-gray-500" }, "No snippets match this filter.")
+                ),
+                visibleSnippets.map(snippet => {
+                    const isExpanded = expandedId === snippet.id;
+                    return (
+                        React.createElement("div", { key: snippet.id, className: "mb-2" },
+                            React.createElement("button", {
+                                className: "w-full flex items-center py-2 px-2 rounded-lg text-left text-gray-300 hover:bg-gray-700",
+                                onClick: () => setExpandedId(isExpanded ? null : snippet.id)
+                            },
+                                React.createElement(LucideIcon, { name: isExpanded ? "ChevronDown" : "ChevronRight", size: 16, className: "mr-1 flex-shrink-0" }),
+                                React.createElement("span", { className: "flex-1 truncate" }, snippet.title),
+                                React.createElement("span", { className: "text-xs text-gray-500 ml-2" }, `${languageLabel(snippet.language)} · ${formatDate(snippet.createdAt)}`)
+                            ),
+                            isExpanded && (
+                                React.createElement("div", { className: "ml-5" },
+                                    React.createElement(CodeBlock, {
+                                        code: snippet.code,
+                                        language: snippet.language,
+                                        signatures,
+                                        fileName: `${slugify(snippet.title) || 'snippet'}.${fileExtension(snippet.language)}`
+                                    }),
+                                    React.createElement("button", { className: "flex items-center text-xs text-gray-400 hover:text-red-400", onClick: () => onDelete(snippet.id) },
+                                        React.createElement(LucideIcon, { name: "Trash2", size: 14, className: "mr-1" }),
+                                        "Delete snippet"
+                                    )
+                                )
+                            )
+                        )
+                    );
+                })
+            )
+        )
+    );
+};
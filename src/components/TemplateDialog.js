@@ -0,0 +1,99 @@
+// Form of a prompt template: fill in its fields to start the chat with the resulting message.
+// Opened from the starter cards on the empty chat screen. Code fields can be filled in from a file
+// in the open chat's workspace; the template itself starts a new chat, so only the file's text goes
+// along with it.
+import { LucideIcon } from './LucideIcon.js';
+import { fillTemplate, missingFields, isBuiltinTemplate } from '../promptTemplates.js';
+
+const { useState } = React;
+
+const inputClassName = "w-full mt-1 bg-gray-700 text-white px-3 py-2 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500";
+
+const FieldInput = ({ field, value, onChange, autoFocus }) => {
+    if (field.type === 'text') {
+        return React.createElement("input", { type: "text", className: inputClassName, placeholder: field.placeholder, value, autoFocus, onChange: (e) => onChange(e.target.value) });
+    }
+    return React.createElement("textarea", {
+        className: `${inputClassName} ${field.type === 'code' ? 'h-40 font-mono text-xs' : 'h-20 text-sm'}`,
+        placeholder: field.placeholder,
+        spellCheck: field.type !== 'code',
+        value,
+        autoFocus,
+        onChange: (e) => onChange(e.target.value)
+    });
+};
+
+export const TemplateDialog = ({ template, profileName, workspaceFiles = [], onStart, onDelete, onClose }) => {
+    const [values, setValues] = useState({});
+    const [showPreview, setShowPreview] = useState(false);
+    const missing = missingFields(template, values);
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        if (missing.length === 0) onStart(fillTemplate(template, values));
+    };
+
+    return (
+        React.createElement("div", { className: "fixed inset-0 z-20 flex items-center justify-center bg-black/60", onClick: onClose },
+            React.createElement("form", { className: "w-[32rem] max-w-full max-h-full overflow-y-auto p-5 rounded-lg bg-gray-800 border border-gray-700 shadow-lg", onClick: (e) => e.stopPropagation(), onSubmit: handleSubmit },
+                React.createElement("div", { className: "flex items-center justify-between mb-1" },
+                    React.createElement("h2", { className: "text-lg font-semibold text-white truncate" }, template.title),
+                    React.createElement("button", { type: "button", className: "text-gray-400 hover:text-white", onClick: onClose },
+                        React.createElement(LucideIcon, { name: "X", size: 20 })
+                    )
+                ),
+                template.description && React.createElement("p", { className: "text-sm text-gray-400" }, template.description),
+                profileName && React.createElement("p", { className: "text-xs text-gray-500 mt-1" }, `Answered with the "${profileName}" profile.`),
+                React.createElement("div", { className: "flex flex-col gap-3 my-4" },
+                    template.fields.map((field, index) => (
+                        React.createElement("div", { key: field.name },
+                            React.createElement("label", { className: "text-sm text-gray-300" },
+                                field.label,
+                                field.required && React.createElement("span", { className: "text-red-400 ml-1" }, "*"),
+                                React.createElement(FieldInput, {
+                                    field,
+                                    value: values[field.name] || '',
+                                    autoFocus: index === 0,
+                                    onChange: (value) => setValues({ ...values, [field.name]: value })
+                                })
+                            ),
+                            field.type === 'code' && workspaceFiles.length > 0 && (
+                                React.createElement("select", {
+                                    className: "mt-1 bg-gray-700 text-xs text-gray-300 rounded px-2 py-1 focus:outline-none",
+                                    "aria-label": `Fill in ${field.label} from a workspace file`,
+                                    value: "",
+                                    onChange: (e) => {
+                                        const file = workspaceFiles.find(workspaceFile => workspaceFile.id === e.target.value);
+                                        if (file) setValues({ ...values, [field.name]: file.content });
+                                    }
+                                },
+                                    React.createElement("option", { value: "" }, "Fill in from a workspace file..."),
+                                    workspaceFiles.map(file => React.createElement("option", { key: file.id, value: file.id }, file.name))
+                                )
+                            )
+                        )
+                    ))
+                ),
+                React.createElement("button", { type: "button", className: "text-xs text-gray-400 hover:text-white mb-2", onClick: () => setShowPreview(!showPreview) },
+                    showPreview ? "Hide message" : "Show message"
+                ),
+                showPreview && (
+                    React.createElement("pre", { className: "mb-4 p-3 rounded-lg bg-gray-900 text-xs text-gray-300 whitespace-pre-wrap" }, fillTemplate(template, values))
+                ),
+                React.createElement("div", { className: "flex items-center gap-2" },
+                    React.createElement("button", {
+                        type: "submit",
+                        className: "py-2 px-4 rounded-lg bg-blue-600 text-white text-sm hover:bg-blue-700 disabled:opacity-50",
+                        disabled: missing.length > 0
+                    }, "Start chat"),
+                    !isBuiltinTemplate(template) && (
+                        React.createElement("button", { type: "button", className: "ml-auto flex items-center text-xs text-gray-400 hover:text-red-400", onClick: onDelete },
+                            React.createElement(LucideIcon, { name: "Trash2", size: 14, className: "mr-1" }),
+                            "Remove template"
+                        )
+                    )
+                )
+            )
+        )
+    );
+};
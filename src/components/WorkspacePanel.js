@@ -0,0 +1,195 @@
+// Workspace of the current chat: its files in tabs and an editor for the open one. Opened from the
+// chat header; code blocks from replies are added with their "Apply" action.
+//
+// Edits are saved shortly after typing stops rather than on every key. Mount the panel with the
+// session id as its key, so a pending edit is saved to the session it was made in.
+import { LucideIcon } from './LucideIcon.js';
+import { CodeEditor } from './CodeEditor.js';
+import { downloadFile, slugify } from '../codeFiles.js';
+import { createZip } from '../zip.js';
+import { languageLabel } from '../highlight.js';
+import { fileLanguage, validateFileName } from '../workspace.js';
+
+const { useState, useEffect, useRef } = React;
+
+const SAVE_DELAY_MS = 600;
+
+export const WorkspacePanel = ({ files, activeFileId, sessionTitle, shareWithChat, signatures, onSelectFile, onCreateFile, onSaveFile, onDeleteFile, onToggleShareWithChat, onClose }) => {
+    const [draft, setDraft] = useState(null); // { file, content } of the open file, while newer than the store
+    const [draftName, setDraftName] = useState(null); // Non-null while renaming the open file
+    const [renameError, setRenameError] = useState('');
+    const [isConfirmingDelete, setIsConfirmingDelete] = useState(false);
+    const pendingRef = useRef(null); // Draft that is not saved yet
+    const saveTimerRef = useRef(null);
+    const onSaveFileRef = useRef(onSaveFile);
+    const cancelRenameRef = useRef(false);
+    onSaveFileRef.current = onSaveFile;
+
+    const activeFile = files.find(file => file.id === activeFileId) || files[0];
+    // What the editor shows: the unsaved draft of the open file, else its stored content
+    const content = () => draft?.file.id === activeFile.id ? draft.content : activeFile.content;
+
+    const flush = () => {
+        clearTimeout(saveTimerRef.current);
+        const pending = pendingRef.current;
+        pendingRef.current = null;
+        if (pending) onSaveFileRef.current({ ...pending.file, content: pending.content, updatedAt: new Date() });
+    };
+
+    // Save what is still pending when the panel closes or the chat changes
+    useEffect(() => flush, []);
+
+    // Once the saved version is back from the store, show the store's content again
+    useEffect(() => {
+        if (!pendingRef.current) setDraft(null);
+    }, [files]);
+
+    const editContent = (content) => {
+        const edit = { file: activeFile, content };
+        pendingRef.current = edit;
+        setDraft(edit);
+        clearTimeout(saveTimerRef.current);
+        saveTimerRef.current = setTimeout(flush, SAVE_DELAY_MS);
+    };
+
+    const selectFile = (fileId) => {
+        flush();
+        setDraftName(null);
+        setIsConfirmingDelete(false);
+        onSelectFile(fileId);
+    };
+
+    // Enter and Escape both leave the input through blur, so the rename is committed exactly once
+    const commitRename = () => {
+        const name = draftName?.trim();
+        if (cancelRenameRef.current || !name || name === activeFile.name) {
+            cancelRenameRef.current = false;
+            setDraftName(null);
+            setRenameError('');
+            return;
+        }
+        const problem = validateFileName(files, name, activeFile.id);
+        if (problem) {
+            setRenameError(problem);
+            return;
+        }
+        // One write for the new name and any edit still pending
+        clearTimeout(saveTimerRef.current);
+        pendingRef.current = null;
+        onSaveFileRef.current({ ...activeFile, content: content(), name, updatedAt: new Date() });
+        setDraftName(null);
+        setRenameError('');
+    };
+
+    const downloadAll = () => {
+        downloadFile(`${slugify(sessionTitle || '') || 'workspace'}.zip`, createZip(files.map(file => ({ name: file.name, content: file.content }))));
+    };
+
+    return (
+        React.createElement("div", { className: "w-[36rem] max-w-[50vw] flex-shrink-0 flex flex-col bg-gray-800 border-l border-gray-700" },
+            React.createElement("div", { className: "p-4 border-b border-gray-700 flex items-center justify-between" },
+                React.createElement("h2", { className: "text-lg font-semibold text-white flex items-center" },
+                    React.createElement(LucideIcon, { name: "FileCode", size: 20, className: "mr-2" }),
+                    "Workspace"
+                ),
+                React.createElement("button", { className: "text-gray-400 hover:text-white", onClick: onClose },
+                    React.createElement(LucideIcon, { name: "X", size: 20 })
+                )
+            ),
+            React.createElement("div", { className: "flex items-center gap-1 px-2 pt-2 border-b border-gray-700 overflow-x-auto" },
+                files.map(file => (
+                    React.createElement("button", {
+                        key: file.id,
+                        className: `px-3 py-1.5 rounded-t-lg text-sm whitespace-nowrap ${file.id === activeFile?.id ? 'bg-gray-900 text-white' : 'text-gray-400 hover:text-white'}`,
+                        onClick: () => file.id !== activeFile?.id && selectFile(file.id),
+                        onDoubleClick: () => setDraftName(file.name)
+                    }, file.name)
+                )),
+                React.createElement("button", { className: "p-1.5 text-gray-400 hover:text-white", title: "New file", onClick: () => { flush(); onCreateFile(); } },
+                    React.createElement(LucideIcon, { name: "FilePlus", size: 16 })
+                )
+            ),
+            activeFile ? (
+                React.createElement(React.Fragment, null,
+                    React.createElement("div", { className: "flex items-center gap-3 px-3 py-2 text-xs text-gray-400 bg-gray-900" },
+                        draftName !== null ? (
+                            React.createElement("input", {
+                                type: "text",
+                                className: "flex-1 min-w-0 bg-gray-800 text-white text-sm px-2 py-0.5 rounded focus:outline-none focus:ring-1 focus:ring-blue-500",
+                                value: draftName,
+                                autoFocus: true,
+                                "aria-label": "File name",
+                                onChange: (e) => {
+                                    setDraftName(e.target.value);
+                                    setRenameError('');
+                                },
+                                onBlur: commitRename,
+                                onKeyDown: (e) => {
+                                    if (e.key === 'Escape') cancelRenameRef.current = true;
+                                    if (e.key === 'Enter' || e.key === 'Escape') e.currentTarget.blur();
+                                }
+                            })
+                        ) : isConfirmingDelete ? (
+                            React.createElement("span", { className: "flex-1 flex items-center gap-2 text-gray-200" },
+                                `Delete ${activeFile.name}? This cannot be undone.`,
+                                React.createElement("button", { className: "px-2 py-0.5 rounded text-gray-300 hover:bg-gray-700", onClick: () => setIsConfirmingDelete(false) }, "Cancel"),
+                                React.createElement("button", {
+                                    className: "px-2 py-0.5 rounded bg-red-600 hover:bg-red-700 text-white",
+                                    onClick: () => {
+                                        pendingRef.current = null;
+                                        setIsConfirmingDelete(false);
+                                        onDeleteFile(activeFile.id);
+                                    }
+                                }, "Delete")
+                            )
+                        ) : (
+                            React.createElement(React.Fragment, null,
+                                React.createElement("span", { className: "flex-1" }, languageLabel(fileLanguage(activeFile.name))),
+                                React.createElement("button", { className: "flex items-center hover:text-gray-100", onClick: () => setDraftName(activeFile.name) },
+                                    React.createElement(LucideIcon, { name: "Pencil", size: 14, className: "mr-1" }),
+                                    "Rename"
+                                ),
+                                React.createElement("button", { className: "flex items-center hover:text-gray-100", onClick: () => downloadFile(activeFile.name, content()) },
+                                    React.createElement(LucideIcon, { name: "Download", size: 14, className: "mr-1" }),
+                                    "Download"
+                                ),
+                                React.createElement("button", { className: "flex items-center hover:text-red-400", onClick: () => setIsConfirmingDelete(true) },
+                                    React.createElement(LucideIcon, { name: "Trash2", size: 14, className: "mr-1" }),
+                                    "Delete"
+                                )
+                            )
+                        )
+                    ),
+                    renameError && React.createElement("p", { className: "px-3 py-1 text-xs text-red-400 bg-gray-900" }, renameError),
+                    React.createElement(CodeEditor, {
+                        key: activeFile.id,
+                        value: content(),
+                        language: fileLanguage(activeFile.name),
+                        signatures,
+                        onChange: editContent
+                    })
+                )
+            ) : (
+                React.createElement("div", { className: "flex-1 p-4" },
+                    React.createElement("p", { className: "text-sm text-gray-500 mb-4" }, "This chat has no files yet. Create one, or use \"Apply\" on a code block in a reply to add it here."),
+                    React.createElement("button", { className: "flex items-center py-2 px-3 rounded-lg bg-gray-700 text-white text-sm hover:bg-gray-600", onClick: onCreateFile },
+                        React.createElement(LucideIcon, { name: "FilePlus", size: 16, className: "mr-2" }),
+                        "New file"
+                    )
+                )
+            ),
+            React.createElement("div", { className: "p-3 border-t border-gray-700 flex items-center gap-3 text-xs text-gray-400" },
+                React.createElement("label", { className: "flex-1 flex items-center cursor-pointer" },
+                    React.createElement("input", { type: "checkbox", className: "mr-2", checked: shareWithChat, onChange: (e) => onToggleShareWithChat(e.target.checked) }),
+                    "Send these files to the AI with every message in this chat"
+                ),
+                files.length > 1 && (
+                    React.createElement("button", { className: "flex items-center hover:text-gray-100", onClick: downloadAll },
+                        React.createElement(LucideIcon, { name: "Download", size: 14, className: "mr-1" }),
+                        "Download all (.zip)"
+                    )
+                )
+            )
+        )
+    );
+};
@@ -0,0 +1,53 @@
+// Starts Firebase for the app and keeps a user signed in. Without a usable configuration, or when
+// signing in fails, the app runs in demo mode instead and keeps chats in this browser (see
+// sessionStore.js).
+import { initializeApp } from 'https://www.gstatic.com/firebasejs/11.6.1/firebase-app.js';
+import { getAuth, signInAnonymously, signInWithCustomToken, onAuthStateChanged, connectAuthEmulator } from 'https://www.gstatic.com/firebasejs/11.6.1/firebase-auth.js';
+import { getFirestore, connectFirestoreEmulator } from 'https://www.gstatic.com/firebasejs/11.6.1/firebase-firestore.js';
+
+// Reads the page's `__firebase_config` JSON. Returns { config }, or { demoReason } saying why the
+// app has to run in demo mode.
+export const readFirebaseConfig = (rawConfig) => {
+    if (!rawConfig) return { demoReason: "Firebase configuration is missing." };
+    let config;
+    try {
+        config = JSON.parse(rawConfig);
+    } catch {
+        return { demoReason: "Firebase configuration is not valid JSON." };
+    }
+    if (!config?.projectId) return { demoReason: "Firebase configuration is invalid: 'projectId' is missing." };
+    return { config };
+};
+
+// Initializes the app's Firestore and Auth, on the local emulators (`firebase emulators:start`)
+// when `emulators` is set: { auth: url, firestore: { host, port } }, see index.html
+export const startFirebase = (config, emulators = null) => {
+    const app = initializeApp(config);
+    const db = getFirestore(app);
+    const auth = getAuth(app);
+    if (emulators?.auth) connectAuthEmulator(auth, emulators.auth, { disableWarnings: true });
+    if (emulators?.firestore) connectFirestoreEmulator(db, emulators.firestore.host, emulators.firestore.port);
+    return { db, auth };
+};
+
+// Follows the signed-in user. Without one (first visit or after signing out) it continues as a new
+// guest, signed in with `initialAuthToken` when the page has one. `onUser(user)` runs on every
+// change, then `onSettled(signInFailed)`; a failed sign-in means falling back to demo mode.
+// Returns the function that stops listening.
+export const watchAuth = (auth, { initialAuthToken = '', onUser, onSettled }) => onAuthStateChanged(auth, async (user) => {
+    onUser(user);
+    let signInFailed = false;
+    if (!user) {
+        try {
+            if (initialAuthToken) {
+                await signInWithCustomToken(auth, initialAuthToken);
+            } else {
+                await signInAnonymously(auth);
+            }
+        } catch (error) {
+            console.error("Firebase Auth Error:", error);
+            signInFailed = true;
+        }
+    }
+    onSettled(signInFailed);
+});
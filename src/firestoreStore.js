@@ -0,0 +1,261 @@
+// Firestore backend of the session store (see localStore.js for the IndexedDB one). Both expose
+// the same interface, so the app does not care where chats live:
+//
+//   subscribeSessions(onChange, onError) -> unsubscribe      onChange(sessions), newest activity first
+//   loadSessions() -> sessions
+//   createSession(fields) -> id
+//   updateSession(sessionId, changes)                        leaves `updatedAt` alone
+//   deleteSession(sessionId)                                 together with its messages and workspace files
+//   putSession(session, messages)                            writes a whole session, keeping its id
+//   openMessageFeed(sessionId, { onChange, onError }) -> { loadOlder, close }
+//   loadMessages(sessionId) -> messages
+//   saveMessage(sessionId, message), deleteMessage(sessionId, messageId)    bump `updatedAt`
+//   subscribeWorkspaceFiles(sessionId, onChange, onError) -> unsubscribe      onChange(files), by name
+//   loadWorkspaceFiles(sessionId) -> files
+//   saveWorkspaceFile(sessionId, file), deleteWorkspaceFile(sessionId, fileId)
+//   subscribeSnippets(onChange, onError) -> unsubscribe, saveSnippet(snippet), deleteSnippet(snippetId)
+//   subscribeProfiles(onChange, onError) -> unsubscribe, saveProfile(profile), deleteProfile(profileId)
+//   subscribeTemplates(onChange, onError) -> unsubscribe, saveTemplate(template), deleteTemplate(templateId)
+//   subscribeKnowledgeSources(onChange, onError) -> unsubscribe, saveKnowledgeSource(source), deleteKnowledgeSource(sourceId)
+//
+// Session: { id, title, titleSource, pinned, archived, profileId, workspaceContext, knowledgeSources, createdAt, updatedAt }
+// Workspace file: { id, name, content, updatedAt } (see workspace.js); saveWorkspaceFile creates or replaces it by id
+// Profile: a custom prompt profile (see promptProfiles.js); saveProfile creates or replaces it by id
+// Template: an imported prompt template (see promptTemplates.js); saveTemplate works the same way
+// Knowledge source: a document or example file the user added (see knowledge.js); saved by id as well
+// Message: { id, sender, text, timestamp (ISO string), ... }
+//
+// Every message is its own document in the session's `messages` subcollection, ordered by
+// `timestamp`, so concurrent writers never overwrite each other and long chats never approach
+// the 1 MiB document limit:
+//
+//   artifacts/{appId}/users/{uid}/chatSessions/{sessionId}/messages/{messageId}
+//   artifacts/{appId}/users/{uid}/chatSessions/{sessionId}/workspaceFiles/{fileId}
+//   artifacts/{appId}/users/{uid}/snippets/{snippetId}
+//   artifacts/{appId}/users/{uid}/promptProfiles/{profileId}
+//   artifacts/{appId}/users/{uid}/promptTemplates/{templateId}
+//   artifacts/{appId}/users/{uid}/knowledgeSources/{sourceId}
+//
+// Sessions written by older versions keep their messages in a `messages` array field on the session
+// document; the sessions listener moves them into the subcollection.
+import { collection, doc, query, orderBy, limit, limitToLast, startAt, endBefore, getDocs, onSnapshot, addDoc, setDoc, updateDoc, deleteDoc, writeBatch, deleteField } from 'https://www.gstatic.com/firebasejs/11.6.1/firebase-firestore.js';
+
+export const MESSAGE_PAGE_SIZE = 50;
+const BATCH_SIZE = 400; // Firestore allows 500 writes per batch
+
+const toMessage = (snapshot) => ({ id: snapshot.id, ...snapshot.data() });
+const toWorkspaceFile = (snapshot) => ({ id: snapshot.id, ...snapshot.data() });
+
+// Writes documents in as few batches as Firestore allows
+const commitInBatches = async (db, writes) => {
+    for (let i = 0; i < writes.length; i += BATCH_SIZE) {
+        const batch = writeBatch(db);
+        writes.slice(i, i + BATCH_SIZE).forEach(write => write(batch));
+        await batch.commit();
+    }
+};
+
+// Streams a session's messages: the latest page and everything after it live, older pages on
+// request. `onChange` receives { messages, hasOlder, isLoadingOlder } after every change.
+const openMessageFeed = (db, sessionPath, { onChange, onError, pageSize = MESSAGE_PAGE_SIZE }) => {
+    const messagesRef = collection(db, `${sessionPath}/messages`);
+    let olderMessages = [];
+    let liveMessages = [];
+    let oldestSnapshot = null; // Cursor for the next older page
+    let hasOlder = false;
+    let isLoadingOlder = false;
+    let unsubscribe = null;
+    let isClosed = false;
+
+    const emit = () => onChange({ messages: [...olderMessages, ...liveMessages], hasOlder, isLoadingOlder });
+
+    const start = async () => {
+        // The oldest message of the latest page anchors the live listener, so it never slides
+        // as new messages arrive
+        const latest = await getDocs(query(messagesRef, orderBy('timestamp', 'desc'), limit(pageSize)));
+        if (isClosed) return;
+        hasOlder = latest.size === pageSize;
+        oldestSnapshot = hasOlder ? latest.docs[latest.docs.length - 1] : null;
+
+        const liveQuery = oldestSnapshot
+            ? query(messagesRef, orderBy('timestamp'), startAt(oldestSnapshot))
+            : query(messagesRef, orderBy('timestamp'));
+        unsubscribe = onSnapshot(liveQuery, (snapshot) => {
+            liveMessages = snapshot.docs.map(toMessage);
+            emit();
+        }, onError);
+    };
+
+    const loadOlder = async () => {
+        if (!hasOlder || isLoadingOlder || isClosed) return;
+        isLoadingOlder = true;
+        emit();
+        try {
+            const page = await getDocs(query(messagesRef, orderBy('timestamp'), endBefore(oldestSnapshot), limitToLast(pageSize)));
+            if (isClosed) return;
+            olderMessages = [...page.docs.map(toMessage), ...olderMessages];
+            hasOlder = page.size === pageSize;
+            if (page.size > 0) oldestSnapshot = page.docs[0];
+        } catch (error) {
+            onError(error);
+        } finally {
+            isLoadingOlder = false;
+            if (!isClosed) emit();
+        }
+    };
+
+    start().catch(onError);
+
+    return {
+        loadOlder,
+        close: () => {
+            isClosed = true;
+            unsubscribe?.();
+        },
+    };
+};
+
+// Moves a legacy `messages` array into the subcollection, then removes the field. Document ids
+// are derived from the array position, so an interrupted migration can simply run again.
+const migrateLegacyMessages = async (db, sessionPath, legacyMessages) => {
+    await commitInBatches(db, legacyMessages.map((message, position) => (batch) => {
+        batch.set(doc(db, `${sessionPath}/messages`, `legacy-${String(position).padStart(6, '0')}`), {
+            ...message,
+            // Keep the original order even for messages saved without a timestamp
+            timestamp: message.timestamp || new Date(position).toISOString(),
+        });
+    }));
+    await updateDoc(doc(db, sessionPath), { messages: deleteField() });
+};
+
+// `userPath` is the user's root document: artifacts/{appId}/users/{uid}
+export const createFirestoreStore = (db, userPath) => {
+    const sessionsPath = `${userPath}/chatSessions`;
+    const snippetsPath = `${userPath}/snippets`;
+    const profilesPath = `${userPath}/promptProfiles`;
+    const templatesPath = `${userPath}/promptTemplates`;
+    const knowledgePath = `${userPath}/knowledgeSources`;
+    const sessionPath = (sessionId) => `${sessionsPath}/${sessionId}`;
+    const workspacePath = (sessionId) => `${sessionPath(sessionId)}/workspaceFiles`;
+    const migratingSessions = new Set();
+
+    const toSession = (snapshot) => {
+        const { messages, ...session } = snapshot.data();
+        if (Array.isArray(messages) && !migratingSessions.has(snapshot.id)) {
+            migratingSessions.add(snapshot.id);
+            migrateLegacyMessages(db, sessionPath(snapshot.id), messages).catch(error => {
+                console.error("Error migrating chat messages:", error);
+                migratingSessions.delete(snapshot.id);
+            });
+        }
+        return { id: snapshot.id, ...session };
+    };
+
+    const loadMessages = async (sessionId) => {
+        const snapshot = await getDocs(query(collection(db, `${sessionPath(sessionId)}/messages`), orderBy('timestamp')));
+        return snapshot.docs.map(toMessage);
+    };
+
+    return {
+        subscribeSessions: (onChange, onError) => onSnapshot(query(collection(db, sessionsPath), orderBy('updatedAt', 'desc')), (snapshot) => {
+            onChange(snapshot.docs.map(toSession));
+        }, onError),
+
+        loadSessions: async () => {
+            const snapshot = await getDocs(query(collection(db, sessionsPath), orderBy('updatedAt', 'desc')));
+            return snapshot.docs.map(toSession);
+        },
+
+        createSession: async (fields) => {
+            const sessionRef = await addDoc(collection(db, sessionsPath), fields);
+            return sessionRef.id;
+        },
+
+        updateSession: (sessionId, changes) => updateDoc(doc(db, sessionPath(sessionId)), changes),
+
+        // Firestore does not delete subcollections with their parent
+        deleteSession: async (sessionId) => {
+            const [messages, files] = await Promise.all([
+                getDocs(collection(db, `${sessionPath(sessionId)}/messages`)),
+                getDocs(collection(db, workspacePath(sessionId))),
+            ]);
+            await commitInBatches(db, [...messages.docs, ...files.docs].map(child => (batch) => batch.delete(child.ref)));
+            await deleteDoc(doc(db, sessionPath(sessionId)));
+        },
+
+        putSession: async (session, messages) => {
+            const { id, ...fields } = session;
+            await commitInBatches(db, [
+                ...messages.map(({ id: messageId, ...message }) => (batch) => batch.set(doc(db, `${sessionPath(id)}/messages`, messageId), message)),
+                // The session document goes last, so it only shows up once its messages are in place
+                (batch) => batch.set(doc(db, sessionPath(id)), fields),
+            ]);
+            return id;
+        },
+
+        openMessageFeed: (sessionId, handlers) => openMessageFeed(db, sessionPath(sessionId), handlers),
+
+        loadMessages,
+
+        // Writes one message and bumps the session's `updatedAt` in the same batch
+        saveMessage: (sessionId, message) => {
+            const { id, ...data } = message;
+            const batch = writeBatch(db);
+            batch.set(doc(db, `${sessionPath(sessionId)}/messages`, id), data);
+            batch.update(doc(db, sessionPath(sessionId)), { updatedAt: new Date() });
+            return batch.commit();
+        },
+
+        deleteMessage: (sessionId, messageId) => {
+            const batch = writeBatch(db);
+            batch.delete(doc(db, `${sessionPath(sessionId)}/messages`, messageId));
+            batch.update(doc(db, sessionPath(sessionId)), { updatedAt: new Date() });
+            return batch.commit();
+        },
+
+        subscribeWorkspaceFiles: (sessionId, onChange, onError) => onSnapshot(query(collection(db, workspacePath(sessionId)), orderBy('name')), (snapshot) => {
+            onChange(snapshot.docs.map(toWorkspaceFile));
+        }, onError),
+
+        loadWorkspaceFiles: async (sessionId) => {
+            const snapshot = await getDocs(query(collection(db, workspacePath(sessionId)), orderBy('name')));
+            return snapshot.docs.map(toWorkspaceFile);
+        },
+
+        saveWorkspaceFile: (sessionId, { id, ...file }) => setDoc(doc(db, workspacePath(sessionId), id), file),
+
+        deleteWorkspaceFile: (sessionId, fileId) => deleteDoc(doc(db, workspacePath(sessionId), fileId)),
+
+        subscribeSnippets: (onChange, onError) => onSnapshot(query(collection(db, snippetsPath), orderBy('createdAt', 'desc')), (snapshot) => {
+            onChange(snapshot.docs.map(snippet => ({ id: snippet.id, ...snippet.data() })));
+        }, onError),
+
+        saveSnippet: (snippet) => addDoc(collection(db, snippetsPath), snippet),
+
+        deleteSnippet: (snippetId) => deleteDoc(doc(db, snippetsPath, snippetId)),
+
+        subscribeProfiles: (onChange, onError) => onSnapshot(collection(db, profilesPath), (snapshot) => {
+            onChange(snapshot.docs.map(profile => ({ id: profile.id, ...profile.data() })));
+        }, onError),
+
+        saveProfile: ({ id, ...profile }) => setDoc(doc(db, profilesPath, id), profile),
+
+        deleteProfile: (profileId) => deleteDoc(doc(db, profilesPath, profileId)),
+
+        subscribeTemplates: (onChange, onError) => onSnapshot(collection(db, templatesPath), (snapshot) => {
+            onChange(snapshot.docs.map(template => ({ id: template.id, ...template.data() })));
+        }, onError),
+
+        saveTemplate: ({ id, ...template }) => setDoc(doc(db, templatesPath, id), template),
+
+        deleteTemplate: (templateId) => deleteDoc(doc(db, templatesPath, templateId)),
+
+        subscribeKnowledgeSources: (onChange, onError) => onSnapshot(collection(db, knowledgePath), (snapshot) => {
+            onChange(snapshot.docs.map(source => ({ id: source.id, ...source.data() })));
+        }, onError),
+
+        saveKnowledgeSource: ({ id, ...source }) => setDoc(doc(db, knowledgePath, id), source),
+
+        deleteKnowledgeSource: (sourceId) => deleteDoc(doc(db, knowledgePath, sourceId)),
+    };
+};
@@ -0,0 +1,136 @@
+// Lightweight syntax highlighting for fenced code blocks. Each language is a list of sticky
+// regex rules tried in order at every position; unknown languages come back as plain text.
+// Tokens: [{ type: 'keyword' | 'string' | 'comment' | 'number' | 'literal' | 'function' | 'builtin' | 'plain', text }]
+
+const words = (list) => new RegExp(`\\b(?:${list.split(' ').join('|')})\\b`, 'y');
+
+const C_LIKE_COMMENTS = [['comment', /\/\/.*/y], ['comment', /\/\*[\s\S]*?(?:\*\/|$)/y]];
+const QUOTED_STRINGS = [['string', /"(?:\\[\s\S]|[^"\\\n])*"?/y], ['string', /'(?:\\[\s\S]|[^'\\\n])*'?/y]];
+const NUMBER = ['number', /\b(?:0[xX][\da-fA-F_]+|0[bB][01_]+|\d[\d_]*\.?\d*(?:[eE][+-]?\d+)?)[a-zA-Z]*\b|\.\d+\b/y];
+const FUNCTION_CALL = ['function', /[A-Za-z_$][\w$]*(?=\s*\()/y];
+const IDENTIFIER = ['plain', /[A-Za-z_$][\w$]*/y];
+
+const LANGUAGES = {
+    lua: [
+        ['comment', /--\[(=*)\[[\s\S]*?(?:\]\1\]|$)/y],
+        ['comment', /--.*/y],
+        ['string', /\[(=*)\[[\s\S]*?(?:\]\1\]|$)/y],
+        ...QUOTED_STRINGS,
+        ['number', /0[xX][\da-fA-F]*\.?[\da-fA-F]*(?:[pP][+-]?\d+)?|(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/y],
+        ['keyword', words('and break do else elseif end for function goto if in local not or repeat return then until while')],
+        ['literal', words('true false nil self')],
+        ['builtin', words('assert collectgarbage error getmetatable ipairs load next pairs pcall print rawequal rawget rawlen rawset require select setmetatable tonumber tostring type xpcall coroutine debug io math os package string table utf8')],
+        ['function', /[A-Za-z_]\w*(?=\s*[({"'])/y],
+        ['plain', /[A-Za-z_]\w*/y],
+    ],
+    javascript: [
+        ...C_LIKE_COMMENTS,
+        ...QUOTED_STRINGS,
+        ['string', /`(?:\\[\s\S]|[^`\\])*`?/y],
+        NUMBER,
+        ['keyword', words('async await break case catch class const continue debugger default delete do else export extends finally for from function if import in instanceof let new of return static super switch this throw try typeof var void while with yield interface type enum implements')],
+        ['literal', words('true false null undefined NaN Infinity')],
+        FUNCTION_CALL,
+        IDENTIFIER,
+    ],
+    json: [
+        ['keyword', /"(?:\\[\s\S]|[^"\\\n])*"(?=\s*:)/y],
+        ['string', /"(?:\\[\s\S]|[^"\\\n])*"?/y],
+        ['number', /-?\d+\.?\d*(?:[eE][+-]?\d+)?/y],
+        ['literal', words('true false null')],
+    ],
+    python: [
+        ['comment', /#.*/y],
+        ['string', /(?:[rbfuRBFU]{1,2})?("""|''')[\s\S]*?(?:\1|$)/y],
+        ...QUOTED_STRINGS,
+        NUMBER,
+        ['keyword', words('and as assert async await break class continue def del elif else except finally for from global if import in is lambda nonlocal not or pass raise return try while with yield')],
+        ['literal', words('True False None self')],
+        FUNCTION_CALL,
+        IDENTIFIER,
+    ],
+    bash: [
+        ['comment', /#.*/y],
+        ['string', /"(?:\\[\s\S]|[^"\\])*"?/y],
+        ['string', /'[^']*'?/y],
+        ['literal', /\$\{?[\w@#?*!$-]+\}?/y],
+        ['keyword', words('if then else elif fi for while until do done case esac in function return local export select')],
+        ['plain', /[\w./-]+/y],
+    ],
+    c: [
+        ['keyword', /#\s*\w+/y],
+        ...C_LIKE_COMMENTS,
+        ...QUOTED_STRINGS,
+        NUMBER,
+        ['keyword', words('auto bool break case catch char class const constexpr continue default delete do double else enum explicit extern float for friend goto if inline int long namespace new operator private protected public register return short signed sizeof static struct switch template this throw try typedef typename union unsigned using virtual void volatile while uint8_t uint16_t uint32_t uint64_t int8_t int16_t int32_t int64_t size_t uintptr_t')],
+        ['literal', words('true false nullptr NULL')],
+        FUNCTION_CALL,
+        IDENTIFIER,
+    ],
+};
+
+const ALIASES = {
+    js: 'javascript', jsx: 'javascript', ts: 'javascript', typescript: 'javascript', tsx: 'javascript', mjs: 'javascript',
+    py: 'python', sh: 'bash', shell: 'bash', zsh: 'bash', console: 'bash',
+    cpp: 'c', 'c++': 'c', h: 'c', hpp: 'c', cs: 'c', csharp: 'c',
+};
+
+// Display names for code block headers
+const LABELS = {
+    lua: 'Lua', javascript: 'JavaScript', js: 'JavaScript', ts: 'TypeScript', typescript: 'TypeScript', jsx: 'JSX', tsx: 'TSX',
+    json: 'JSON', python: 'Python', py: 'Python', bash: 'Bash', sh: 'Shell', shell: 'Shell', zsh: 'Shell', console: 'Console',
+    c: 'C', cpp: 'C++', 'c++': 'C++', h: 'C', hpp: 'C++', cs: 'C#', csharp: 'C#', html: 'HTML', xml: 'XML', css: 'CSS',
+    sql: 'SQL', yaml: 'YAML', yml: 'YAML', toml: 'TOML', ini: 'INI', diff: 'Diff', text: 'Text', txt: 'Text', plaintext: 'Text', md: 'Markdown', markdown: 'Markdown',
+};
+
+export const languageLabel = (language) => {
+    if (!language) return 'Code';
+    return LABELS[language] || language.charAt(0).toUpperCase() + language.slice(1);
+};
+
+export const highlightCode = (code, language) => {
+    const rules = LANGUAGES[ALIASES[language] || language];
+    if (!rules) return [{ type: 'plain', text: code }];
+
+    const tokens = [];
+    const push = (type, text) => {
+        const last = tokens[tokens.length - 1];
+        if (last && last.type === type) {
+            last.text += text;
+        } else {
+            tokens.push({ type, text });
+        }
+    };
+
+    let position = 0;
+    while (position < code.length) {
+        let matched = false;
+        for (const [type, pattern] of rules) {
+            pattern.lastIndex = position;
+            const match = pattern.exec(code);
+            if (match && match[0].length > 0) {
+                push(type, match[0]);
+                position += match[0].length;
+                matched = true;
+                break;
+            }
+        }
+        if (!matched) {
+            push('plain', code[position]);
+            position++;
+        }
+    }
+    return tokens;
+};
+
+// Splits tokens at newlines so code can be rendered line by line: [[token]] per line
+export const splitTokenLines = (tokens) => {
+    const lines = [[]];
+    for (const token of tokens) {
+        token.text.split('\n').forEach((text, i) => {
+            if (i > 0) lines.push([]);
+            if (text) lines[lines.length - 1].push({ type: token.type, text });
+        });
+    }
+    return lines;
+};
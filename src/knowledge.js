@@ -0,0 +1,104 @@
+// Knowledge sources: the documentation and example files that answers are grounded in. The app's
+// own sources are listed in knowledge.json (format in docs/knowledge-sources.md), so adding a team's
+// reference scripts or newer docs only means editing that file. Users can add more sources by URL;
+// those live in the session store next to snippets and prompt profiles.
+//
+// Source: { id, title, kind: 'docs' | 'example', path, tags: [string], version?, enabled }
+//
+// `docs` files are API documentation in the format of Perception.txt; they are split per API entry
+// and also feed the Library and the Lua validator. `example` files are Lua scripts, split per function.
+// Each chat can turn sources on and off: sessions keep the choices as `knowledgeSources`
+// ({ [sourceId]: boolean }), and sources not in it use their `enabled` default.
+import { splitPerceptionDocs } from './perceptionDocs.js';
+import { chunkLuaSource } from './retrieval.js';
+
+export const KNOWLEDGE_FORMAT = 'perception-ai-knowledge';
+export const KNOWLEDGE_VERSION = 1;
+export const MANIFEST_URL = './knowledge.json';
+export const SOURCE_KINDS = ['docs', 'example'];
+
+const MAX_SOURCES = 200;
+const MAX_TAGS = 10;
+
+const optionalString = (value) => typeof value === 'string' && value.trim() ? value.trim() : undefined;
+
+const fileName = (path) => path.split(/[?#]/)[0].split('/').filter(Boolean).pop() || path;
+
+// Splits "api, Reference docs" into ['api', 'reference-docs']
+export const parseTags = (text) => [...new Set(text.split(',').map(tag => tag.trim().toLowerCase().replace(/\s+/g, '-')).filter(Boolean))];
+
+// Why a source cannot be used as it is, or null if it can
+export const sourceProblem = (source) => {
+    if (typeof source?.id !== 'string' || !/^[\w-]{1,64}$/.test(source.id)) return 'needs an "id" of up to 64 letters, digits, "-" or "_".';
+    if (!SOURCE_KINDS.includes(source.kind)) return `needs a "kind" of ${SOURCE_KINDS.map(kind => `"${kind}"`).join(' or ')}.`;
+    if (!optionalString(source.path)) return 'needs a "path".';
+    if (source.tags !== undefined && (!Array.isArray(source.tags) || source.tags.length > MAX_TAGS || !source.tags.every(optionalString))) {
+        return `has "tags" that are not a list of up to ${MAX_TAGS} words.`;
+    }
+    return null;
+};
+
+// The source with its optional fields filled in. Firestore rejects undefined values, so a missing
+// version is left out instead.
+export const normalizeSource = (source) => {
+    const version = optionalString(source.version);
+    return {
+        id: source.id,
+        title: optionalString(source.title) || fileName(source.path.trim()),
+        kind: source.kind,
+        path: source.path.trim(),
+        tags: parseTags((source.tags || []).join(',')),
+        ...(version ? { version } : {}),
+        enabled: source.enabled !== false,
+    };
+};
+
+const manifestError = (message) => new Error(`knowledge.json is not valid: ${message}`);
+
+// Parses knowledge.json into its list of sources. Throws an Error whose message can be shown to the
+// user when the manifest is not valid.
+export const parseKnowledgeManifest = (text) => {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch {
+        throw manifestError("the file is not JSON.");
+    }
+    if (data?.format !== KNOWLEDGE_FORMAT) throw manifestError(`expected "format": "${KNOWLEDGE_FORMAT}".`);
+    if (!Number.isInteger(data.version) || data.version > KNOWLEDGE_VERSION) {
+        throw manifestError(`version ${data.version} is not supported, update the app to read it.`);
+    }
+    if (!Array.isArray(data.sources) || data.sources.length > MAX_SOURCES) throw manifestError(`"sources" must be an array of at most ${MAX_SOURCES} sources.`);
+
+    const sources = data.sources.map((source, position) => {
+        const problem = sourceProblem(source);
+        if (problem) throw manifestError(`source ${position + 1} ${problem}`);
+        return normalizeSource(source);
+    });
+    if (new Set(sources.map(source => source.id)).size !== sources.length) throw manifestError("two sources have the same \"id\".");
+    return sources;
+};
+
+// Paths in the manifest are relative to it; sources added by users may also be full URLs
+export const sourceUrl = (source) => new URL(source.path, new URL(MANIFEST_URL, location.href)).href;
+
+// Fetches a source and splits it into search chunks that carry the source's id. Returns
+// { text, chunks }; throws an Error saying why the file is missing, to be shown next to the source.
+export const loadKnowledgeSource = async (source) => {
+    let response;
+    try {
+        response = await fetch(sourceUrl(source));
+    } catch {
+        throw new Error("The file could not be reached.");
+    }
+    if (!response.ok) throw new Error(response.status === 404 ? "File not found (404)." : `The server answered ${response.status}.`);
+    // Development servers often answer unknown paths with the app's own page
+    if (response.headers.get('content-type')?.includes('text/html')) throw new Error("File not found (the server returned a web page).");
+
+    const text = await response.text();
+    if (!text.trim()) throw new Error("The file is empty.");
+    const chunks = source.kind === 'docs' ? splitPerceptionDocs(text).chunks : chunkLuaSource(fileName(source.path), text);
+    return { text, chunks: chunks.map(chunk => ({ ...chunk, sourceId: source.id })) };
+};
+
+export const isSourceEnabled = (session, source) => session?.knowledgeSources?.[source.id] ?? source.enabled;
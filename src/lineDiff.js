@@ -0,0 +1,33 @@
+// Line-based diff (longest common subsequence) for showing how code changed between two versions.
+// Returns [{ type: 'same' | 'added' | 'removed', text }]. An empty text has no lines, so code
+// compared with nothing comes out as all added.
+export const diffLines = (before, after) => {
+    const a = before ? before.split('\n') : [];
+    const b = after ? after.split('\n') : [];
+
+    // lengths[i][j] = LCS length of a[i..] and b[j..]
+    const lengths = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+        }
+    }
+
+    const changes = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+        if (a[i] === b[j]) {
+            changes.push({ type: 'same', text: a[i] });
+            i++;
+            j++;
+        } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+            changes.push({ type: 'removed', text: a[i++] });
+        } else {
+            changes.push({ type: 'added', text: b[j++] });
+        }
+    }
+    while (i < a.length) changes.push({ type: 'removed', text: a[i++] });
+    while (j < b.length) changes.push({ type: 'added', text: b[j++] });
+    return changes;
+};
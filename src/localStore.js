@@ -0,0 +1,326 @@
+// IndexedDB backend of the session store, used in demo mode so chats survive reloads without a
+// Firebase account. It has the same interface as firestoreStore.js (documented there).
+//
+// Everything is read into memory when the store opens; changes update memory first, notify the
+// listeners and are then written to IndexedDB. If IndexedDB is unavailable (some private browsing
+// modes) the store keeps working in memory only.
+import { toMillis } from './sessions.js';
+
+const DB_NAME = 'perception-ai';
+const DB_VERSION = 5;
+const STORE_NAMES = ['sessions', 'messages', 'snippets', 'profiles', 'templates', 'workspaceFiles', 'knowledgeSources'];
+
+const openDatabase = () => new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = (event) => {
+        const database = request.result;
+        if (event.oldVersion < 1) {
+            database.createObjectStore('sessions', { keyPath: 'id' });
+            database.createObjectStore('messages', { keyPath: ['sessionId', 'id'] }).createIndex('sessionId', 'sessionId');
+            database.createObjectStore('snippets', { keyPath: 'id' });
+        }
+        if (event.oldVersion < 2) {
+            database.createObjectStore('profiles', { keyPath: 'id' });
+        }
+        if (event.oldVersion < 3) {
+            database.createObjectStore('templates', { keyPath: 'id' });
+        }
+        if (event.oldVersion < 4) {
+            database.createObjectStore('workspaceFiles', { keyPath: ['sessionId', 'id'] });
+        }
+        if (event.oldVersion < 5) {
+            database.createObjectStore('knowledgeSources', { keyPath: 'id' });
+        }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+const requestResult = (request) => new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+const byTimestamp = (a, b) => (a.timestamp < b.timestamp ? -1 : a.timestamp > b.timestamp ? 1 : 0);
+const byName = (a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0);
+
+export const createLocalStore = () => {
+    const sessions = new Map();
+    const messagesBySession = new Map(); // sessionId -> messages sorted by timestamp
+    const snippets = new Map();
+    const profiles = new Map();
+    const templates = new Map();
+    const filesBySession = new Map(); // sessionId -> Map of workspace files by id
+    const knowledgeSources = new Map();
+    const sessionListeners = new Set();
+    const messageListeners = new Map(); // sessionId -> Set of listeners
+    const snippetListeners = new Set();
+    const profileListeners = new Set();
+    const templateListeners = new Set();
+    const fileListeners = new Map(); // sessionId -> Set of listeners
+    const knowledgeListeners = new Set();
+    let database = null;
+
+    const ready = (async () => {
+        if (typeof indexedDB === 'undefined') return;
+        try {
+            database = await openDatabase();
+            const transaction = database.transaction(STORE_NAMES);
+            const [storedSessions, storedMessages, storedSnippets, storedProfiles, storedTemplates, storedFiles, storedKnowledge] = await Promise.all(
+                STORE_NAMES.map(name => requestResult(transaction.objectStore(name).getAll()))
+            );
+            storedSessions.forEach(session => sessions.set(session.id, session));
+            storedSnippets.forEach(snippet => snippets.set(snippet.id, snippet));
+            storedProfiles.forEach(profile => profiles.set(profile.id, profile));
+            storedTemplates.forEach(template => templates.set(template.id, template));
+            storedKnowledge.forEach(source => knowledgeSources.set(source.id, source));
+            for (const { sessionId, ...message } of storedMessages) {
+                if (!messagesBySession.has(sessionId)) messagesBySession.set(sessionId, []);
+                messagesBySession.get(sessionId).push(message);
+            }
+            messagesBySession.forEach(list => list.sort(byTimestamp));
+            for (const { sessionId, ...file } of storedFiles) {
+                if (!filesBySession.has(sessionId)) filesBySession.set(sessionId, new Map());
+                filesBySession.get(sessionId).set(file.id, file);
+            }
+        } catch (error) {
+            console.warn("IndexedDB is unavailable, local chats will not be saved:", error);
+            database = null;
+        }
+    })();
+
+    // Runs `write` on a read-write transaction over `storeNames` and waits for it to commit
+    const persist = async (storeNames, write) => {
+        if (!database) return;
+        const transaction = database.transaction(storeNames, 'readwrite');
+        write(transaction);
+        await new Promise((resolve, reject) => {
+            transaction.oncomplete = resolve;
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    };
+
+    const sortedSessions = () => [...sessions.values()].sort((a, b) => toMillis(b.updatedAt) - toMillis(a.updatedAt));
+    const sortedSnippets = () => [...snippets.values()].sort((a, b) => toMillis(b.createdAt) - toMillis(a.createdAt));
+    const sessionMessages = (sessionId) => messagesBySession.get(sessionId) || [];
+    const sessionFiles = (sessionId) => [...(filesBySession.get(sessionId)?.values() || [])].sort(byName);
+
+    const notifySessions = () => sessionListeners.forEach(listener => listener(sortedSessions()));
+    const notifyMessages = (sessionId) => messageListeners.get(sessionId)?.forEach(listener => listener([...sessionMessages(sessionId)]));
+    const notifyFiles = (sessionId) => fileListeners.get(sessionId)?.forEach(listener => listener(sessionFiles(sessionId)));
+    const notifySnippets = () => snippetListeners.forEach(listener => listener(sortedSnippets()));
+    const allProfiles = () => [...profiles.values()];
+    const notifyProfiles = () => profileListeners.forEach(listener => listener(allProfiles()));
+    const allTemplates = () => [...templates.values()];
+    const notifyTemplates = () => templateListeners.forEach(listener => listener(allTemplates()));
+    const allKnowledgeSources = () => [...knowledgeSources.values()];
+    const notifyKnowledgeSources = () => knowledgeListeners.forEach(listener => listener(allKnowledgeSources()));
+
+    const touchSession = (sessionId) => {
+        const session = sessions.get(sessionId);
+        if (!session) return null;
+        const updated = { ...session, updatedAt: new Date() };
+        sessions.set(sessionId, updated);
+        return updated;
+    };
+
+    // Adds a listener once the stored data has been read, and calls it with the current state
+    const subscribe = (listeners, listener, current, onError) => {
+        let isActive = true;
+        ready.then(() => {
+            if (!isActive) return;
+            listeners.add(listener);
+            listener(current());
+        }).catch(onError);
+        return () => {
+            isActive = false;
+            listeners.delete(listener);
+        };
+    };
+
+    return {
+        subscribeSessions: (onChange, onError) => subscribe(sessionListeners, onChange, sortedSessions, onError),
+
+        loadSessions: async () => {
+            await ready;
+            return sortedSessions();
+        },
+
+        createSession: async (fields) => {
+            await ready;
+            const session = { id: crypto.randomUUID(), ...fields };
+            sessions.set(session.id, session);
+            notifySessions();
+            await persist(['sessions'], transaction => transaction.objectStore('sessions').put(session));
+            return session.id;
+        },
+
+        updateSession: async (sessionId, changes) => {
+            await ready;
+            const session = sessions.get(sessionId);
+            if (!session) return;
+            const updated = { ...session, ...changes };
+            sessions.set(sessionId, updated);
+            notifySessions();
+            await persist(['sessions'], transaction => transaction.objectStore('sessions').put(updated));
+        },
+
+        deleteSession: async (sessionId) => {
+            await ready;
+            sessions.delete(sessionId);
+            messagesBySession.delete(sessionId);
+            filesBySession.delete(sessionId);
+            notifySessions();
+            notifyMessages(sessionId);
+            notifyFiles(sessionId);
+            await persist(['sessions', 'messages', 'workspaceFiles'], transaction => {
+                transaction.objectStore('sessions').delete(sessionId);
+                transaction.objectStore('messages').delete(IDBKeyRange.bound([sessionId], [sessionId, []]));
+                transaction.objectStore('workspaceFiles').delete(IDBKeyRange.bound([sessionId], [sessionId, []]));
+            });
+        },
+
+        putSession: async (session, messages) => {
+            await ready;
+            sessions.set(session.id, session);
+            messagesBySession.set(session.id, [...messages].sort(byTimestamp));
+            notifySessions();
+            notifyMessages(session.id);
+            await persist(['sessions', 'messages'], transaction => {
+                transaction.objectStore('sessions').put(session);
+                transaction.objectStore('messages').delete(IDBKeyRange.bound([session.id], [session.id, []]));
+                messages.forEach(message => transaction.objectStore('messages').put({ ...message, sessionId: session.id }));
+            });
+            return session.id;
+        },
+
+        // Local chats are small enough to show in full, so there are never older pages
+        openMessageFeed: (sessionId, { onChange, onError }) => {
+            const listener = (messages) => onChange({ messages, hasOlder: false, isLoadingOlder: false });
+            if (!messageListeners.has(sessionId)) messageListeners.set(sessionId, new Set());
+            const unsubscribe = subscribe(messageListeners.get(sessionId), listener, () => [...sessionMessages(sessionId)], onError);
+            return { loadOlder: () => {}, close: unsubscribe };
+        },
+
+        loadMessages: async (sessionId) => {
+            await ready;
+            return [...sessionMessages(sessionId)];
+        },
+
+        saveMessage: async (sessionId, message) => {
+            await ready;
+            const list = sessionMessages(sessionId).filter(m => m.id !== message.id);
+            messagesBySession.set(sessionId, [...list, message].sort(byTimestamp));
+            const session = touchSession(sessionId);
+            notifyMessages(sessionId);
+            notifySessions();
+            await persist(['sessions', 'messages'], transaction => {
+                transaction.objectStore('messages').put({ ...message, sessionId });
+                if (session) transaction.objectStore('sessions').put(session);
+            });
+        },
+
+        deleteMessage: async (sessionId, messageId) => {
+            await ready;
+            messagesBySession.set(sessionId, sessionMessages(sessionId).filter(m => m.id !== messageId));
+            const session = touchSession(sessionId);
+            notifyMessages(sessionId);
+            notifySessions();
+            await persist(['sessions', 'messages'], transaction => {
+                transaction.objectStore('messages').delete([sessionId, messageId]);
+                if (session) transaction.objectStore('sessions').put(session);
+            });
+        },
+
+        subscribeWorkspaceFiles: (sessionId, onChange, onError) => {
+            if (!fileListeners.has(sessionId)) fileListeners.set(sessionId, new Set());
+            return subscribe(fileListeners.get(sessionId), onChange, () => sessionFiles(sessionId), onError);
+        },
+
+        loadWorkspaceFiles: async (sessionId) => {
+            await ready;
+            return sessionFiles(sessionId);
+        },
+
+        saveWorkspaceFile: async (sessionId, file) => {
+            await ready;
+            if (!filesBySession.has(sessionId)) filesBySession.set(sessionId, new Map());
+            filesBySession.get(sessionId).set(file.id, file);
+            notifyFiles(sessionId);
+            await persist(['workspaceFiles'], transaction => transaction.objectStore('workspaceFiles').put({ ...file, sessionId }));
+        },
+
+        deleteWorkspaceFile: async (sessionId, fileId) => {
+            await ready;
+            filesBySession.get(sessionId)?.delete(fileId);
+            notifyFiles(sessionId);
+            await persist(['workspaceFiles'], transaction => transaction.objectStore('workspaceFiles').delete([sessionId, fileId]));
+        },
+
+        subscribeSnippets: (onChange, onError) => subscribe(snippetListeners, onChange, sortedSnippets, onError),
+
+        saveSnippet: async (snippet) => {
+            await ready;
+            const saved = { id: crypto.randomUUID(), ...snippet };
+            snippets.set(saved.id, saved);
+            notifySnippets();
+            await persist(['snippets'], transaction => transaction.objectStore('snippets').put(saved));
+        },
+
+        deleteSnippet: async (snippetId) => {
+            await ready;
+            snippets.delete(snippetId);
+            notifySnippets();
+            await persist(['snippets'], transaction => transaction.objectStore('snippets').delete(snippetId));
+        },
+
+        subscribeProfiles: (onChange, onError) => subscribe(profileListeners, onChange, allProfiles, onError),
+
+        saveProfile: async (profile) => {
+            await ready;
+            profiles.set(profile.id, profile);
+            notifyProfiles();
+            await persist(['profiles'], transaction => transaction.objectStore('profiles').put(profile));
+        },
+
+        deleteProfile: async (profileId) => {
+            await ready;
+            profiles.delete(profileId);
+            notifyProfiles();
+            await persist(['profiles'], transaction => transaction.objectStore('profiles').delete(profileId));
+        },
+
+        subscribeTemplates: (onChange, onError) => subscribe(templateListeners, onChange, allTemplates, onError),
+
+        saveTemplate: async (template) => {
+            await ready;
+            templates.set(template.id, template);
+            notifyTemplates();
+            await persist(['templates'], transaction => transaction.objectStore('templates').put(template));
+        },
+
+        deleteTemplate: async (templateId) => {
+            await ready;
+            templates.delete(templateId);
+            notifyTemplates();
+            await persist(['templates'], transaction => transaction.objectStore('templates').delete(templateId));
+        },
+
+        subscribeKnowledgeSources: (onChange, onError) => subscribe(knowledgeListeners, onChange, allKnowledgeSources, onError),
+
+        saveKnowledgeSource: async (source) => {
+            await ready;
+            knowledgeSources.set(source.id, source);
+            notifyKnowledgeSources();
+            await persist(['knowledgeSources'], transaction => transaction.objectStore('knowledgeSources').put(source));
+        },
+
+        deleteKnowledgeSource: async (sourceId) => {
+            await ready;
+            knowledgeSources.delete(sourceId);
+            notifyKnowledgeSources();
+            await persist(['knowledgeSources'], transaction => transaction.objectStore('knowledgeSources').delete(sourceId));
+        },
+    };
+};
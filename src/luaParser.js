@@ -0,0 +1,584 @@
+// A small Lua 5.4 parser for checking generated scripts in the browser. It follows the grammar of
+// the reference manual (§9) and reports syntax errors with the same wording as `luac`.
+//
+// parseLua(source) returns a Chunk node or throws an Error with `line` and `column` properties.
+// Every node has { type, line, column }; the node shapes are listed next to the code that builds them.
+
+const KEYWORDS = new Set([
+    'and', 'break', 'do', 'else', 'elseif', 'end', 'false', 'for', 'function', 'goto', 'if', 'in',
+    'local', 'nil', 'not', 'or', 'repeat', 'return', 'then', 'true', 'until', 'while',
+]);
+
+// Longest symbols first so "..." wins over ".." and "."
+const SYMBOLS = [
+    '...', '..', '==', '~=', '<=', '>=', '<<', '>>', '//', '::',
+    '+', '-', '*', '/', '%', '^', '#', '&', '~', '|', '<', '>', '=',
+    '(', ')', '{', '}', '[', ']', ';', ':', ',', '.',
+];
+
+// [left, right] binding power, as in lparser.c
+const BINARY_PRIORITY = {
+    'or': [1, 1], 'and': [2, 2],
+    '<': [3, 3], '>': [3, 3], '<=': [3, 3], '>=': [3, 3], '~=': [3, 3], '==': [3, 3],
+    '|': [4, 4], '~': [5, 5], '&': [6, 6], '<<': [7, 7], '>>': [7, 7],
+    '..': [9, 8], '+': [10, 10], '-': [10, 10],
+    '*': [11, 11], '/': [11, 11], '//': [11, 11], '%': [11, 11],
+    '^': [14, 13],
+};
+const UNARY_PRIORITY = 12;
+
+const syntaxError = (message, line, column) => Object.assign(new Error(message), { line, column });
+
+// Sticky patterns match at `lastIndex` without copying the rest of the source
+const NAME_PATTERN = /[A-Za-z_]\w*/y;
+const HEX_NUMBER_PATTERN = /0[xX](?:[0-9a-fA-F]+\.?[0-9a-fA-F]*|\.[0-9a-fA-F]+)(?:[pP][+-]?\d+)?/y;
+const DECIMAL_NUMBER_PATTERN = /(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/y;
+const NUMBER_LIKE_PATTERN = /[0-9a-zA-Z_.]*/y;
+
+const matchAt = (pattern, source, position) => {
+    pattern.lastIndex = position;
+    return pattern.exec(source)?.[0] ?? null;
+};
+
+const tokenText = (token) => {
+    if (token.type === 'eof') return '<eof>';
+    return token.raw ?? token.value;
+};
+
+const tokenize = (source) => {
+    const tokens = [];
+    let position = 0;
+    let line = 1;
+    let lineStart = 0;
+
+    const peek = (offset = 0) => source[position + offset];
+    const fail = (message, near) => {
+        throw syntaxError(`${message} near '${near}'`, line, position - lineStart + 1);
+    };
+    const newline = () => {
+        // "\r\n" and "\n\r" count as one line break
+        const first = source[position++];
+        if ((peek() === '\n' || peek() === '\r') && peek() !== first) position++;
+        line++;
+        lineStart = position;
+    };
+
+    // Level of a long bracket ("[==[" -> 2) starting at the current position, or -1
+    const longBracketLevel = () => {
+        let level = 0;
+        while (peek(1 + level) === '=') level++;
+        return peek(1 + level) === '[' ? level : -1;
+    };
+
+    const readLongString = (level, what) => {
+        const startLine = line;
+        position += level + 2;
+        if (peek() === '\r' || peek() === '\n') newline(); // A first newline is skipped
+        const close = `]${'='.repeat(level)}]`;
+        let value = '';
+        while (true) {
+            if (position >= source.length) {
+                fail(`unfinished long ${what} (starting at line ${startLine})`, '<eof>');
+            } else if (source.startsWith(close, position)) {
+                position += close.length;
+                return value;
+            } else if (peek() === '\r' || peek() === '\n') {
+                newline();
+                value += '\n';
+            } else {
+                value += source[position++];
+            }
+        }
+    };
+
+    const readString = (quote) => {
+        const start = position;
+        position++;
+        let value = '';
+        while (peek() !== quote) {
+            const char = peek();
+            if (char === undefined) fail('unfinished string', '<eof>');
+            if (char === '\n' || char === '\r') fail('unfinished string', source.slice(start, position));
+            if (char !== '\\') {
+                value += char;
+                position++;
+                continue;
+            }
+
+            position++;
+            const escape = peek();
+            const simple = { a: '\x07', b: '\b', f: '\f', n: '\n', r: '\r', t: '\t', v: '\v', '\\': '\\', '"': '"', "'": "'" };
+            if (escape in simple) {
+                value += simple[escape];
+                position++;
+            } else if (escape === '\n' || escape === '\r') {
+                newline();
+                value += '\n';
+            } else if (escape === 'z') {
+                position++;
+                while (/\s/.test(peek() || '')) {
+                    if (peek() === '\n' || peek() === '\r') newline(); else position++;
+                }
+            } else if (escape === 'x') {
+                const hex = source.slice(position + 1, position + 3);
+                if (!/^[0-9a-fA-F]{2}$/.test(hex)) fail('hexadecimal digit expected', source.slice(start, position + 3));
+                value += String.fromCharCode(parseInt(hex, 16));
+                position += 3;
+            } else if (escape === 'u') {
+                const match = source.slice(position).match(/^u\{([0-9a-fA-F]+)\}/);
+                if (!match || parseInt(match[1], 16) > 0x7FFFFFFF) fail('UTF-8 value too large or missing braces', source.slice(start, position + 1));
+                value += String.fromCodePoint(Math.min(parseInt(match[1], 16), 0x10FFFF));
+                position += match[0].length;
+            } else if (/\d/.test(escape || '')) {
+                const digits = source.slice(position).match(/^\d{1,3}/)[0];
+                if (Number(digits) > 255) fail('decimal escape too large', source.slice(start, position + digits.length));
+                value += String.fromCharCode(Number(digits));
+                position += digits.length;
+            } else if (escape === undefined) {
+                fail('unfinished string', '<eof>');
+            } else {
+                fail('invalid escape sequence', source.slice(start, position + 1));
+            }
+        }
+        position++;
+        return { value, raw: source.slice(start, position) };
+    };
+
+    const readNumber = () => {
+        const isHex = peek() === '0' && (peek(1) === 'x' || peek(1) === 'X');
+        const number = matchAt(isHex ? HEX_NUMBER_PATTERN : DECIMAL_NUMBER_PATTERN, source, position);
+        // Like llex.c, anything glued to the number makes it malformed ("3x", "0x", "1e")
+        const glued = matchAt(NUMBER_LIKE_PATTERN, source, position);
+        if (!number || glued.length > number.length) fail('malformed number', glued);
+        position += number.length;
+        return number;
+    };
+
+    while (true) {
+        const char = peek();
+        const column = position - lineStart + 1;
+        const push = (type, value, extra = {}) => tokens.push({ type, value, line, column, ...extra });
+
+        if (char === undefined) {
+            push('eof', '<eof>');
+            return tokens;
+        }
+        if (char === '\n' || char === '\r') {
+            newline();
+        } else if (/\s/.test(char)) {
+            position++;
+        } else if (source.startsWith('--', position)) {
+            position += 2;
+            const level = peek() === '[' ? longBracketLevel() : -1;
+            if (level >= 0) {
+                readLongString(level, 'comment');
+            } else {
+                while (position < source.length && peek() !== '\n' && peek() !== '\r') position++;
+            }
+        } else if (/[A-Za-z_]/.test(char)) {
+            const name = matchAt(NAME_PATTERN, source, position);
+            position += name.length;
+            push(KEYWORDS.has(name) ? 'keyword' : 'name', name);
+        } else if (/\d/.test(char) || (char === '.' && /\d/.test(peek(1) || ''))) {
+            const raw = readNumber();
+            push('number', raw);
+        } else if (char === '"' || char === "'") {
+            const startLine = line;
+            const { value, raw } = readString(char);
+            tokens.push({ type: 'string', value, raw, line: startLine, column });
+        } else if (char === '[' && longBracketLevel() >= 0) {
+            const startLine = line;
+            const start = position;
+            const value = readLongString(longBracketLevel(), 'string');
+            tokens.push({ type: 'string', value, raw: source.slice(start, position), line: startLine, column });
+        } else {
+            const symbol = SYMBOLS.find(candidate => source.startsWith(candidate, position));
+            if (!symbol) fail('unexpected symbol', char);
+            position += symbol.length;
+            push('symbol', symbol);
+        }
+    }
+};
+
+export const parseLua = (source) => {
+    const tokens = tokenize(source);
+    let index = 0;
+    // One entry per function being parsed: { isVararg, loopDepth }
+    const functions = [{ isVararg: true, loopDepth: 0 }];
+
+    const current = () => tokens[index];
+    const lookahead = () => tokens[Math.min(index + 1, tokens.length - 1)];
+    const fail = (message, token = current()) => {
+        throw syntaxError(`${message} near '${tokenText(token)}'`, token.line, token.column);
+    };
+    const is = (value, token = current()) => (token.type === 'symbol' || token.type === 'keyword') && token.value === value;
+    const accept = (value) => {
+        if (!is(value)) return false;
+        index++;
+        return true;
+    };
+    const expect = (value) => {
+        if (!accept(value)) fail(`'${value}' expected`);
+    };
+    // Closing tokens mention the line of the construct they close, like luac
+    const expectMatch = (value, opener, openToken) => {
+        if (accept(value)) return;
+        if (current().line === openToken.line) fail(`'${value}' expected`);
+        fail(`'${value}' expected (to close '${opener}' at line ${openToken.line})`);
+    };
+    const expectName = () => {
+        const token = current();
+        if (token.type !== 'name') fail('<name> expected');
+        index++;
+        return token.value;
+    };
+    const node = (type, token, fields) => ({ type, line: token.line, column: token.column, ...fields });
+
+    const blockFollows = (withUntil = true) => {
+        const token = current();
+        if (token.type === 'eof') return true;
+        return token.type === 'keyword' && ['else', 'elseif', 'end'].concat(withUntil ? ['until'] : []).includes(token.value);
+    };
+
+    // Block: [statement]
+    const parseBlock = () => {
+        const body = [];
+        while (!blockFollows()) {
+            if (is('return')) {
+                body.push(parseReturn());
+                break;
+            }
+            const statement = parseStatement();
+            if (statement) body.push(statement);
+        }
+        return body;
+    };
+
+    // Return { arguments }
+    const parseReturn = () => {
+        const token = current();
+        index++;
+        const args = blockFollows() || is(';') ? [] : parseExpressionList();
+        accept(';');
+        return node('Return', token, { arguments: args });
+    };
+
+    const parseLoopBody = () => {
+        functions[functions.length - 1].loopDepth++;
+        const body = parseBlock();
+        functions[functions.length - 1].loopDepth--;
+        return body;
+    };
+
+    const parseStatement = () => {
+        const token = current();
+        if (accept(';')) return null;
+
+        if (token.type === 'keyword') {
+            switch (token.value) {
+                case 'if': {
+                    // If { clauses: [{ condition, body }], orelse }
+                    index++;
+                    const clauses = [];
+                    const condition = parseExpression();
+                    expect('then');
+                    clauses.push({ condition, body: parseBlock() });
+                    let orelse = null;
+                    while (true) {
+                        if (accept('elseif')) {
+                            const elseifCondition = parseExpression();
+                            expect('then');
+                            clauses.push({ condition: elseifCondition, body: parseBlock() });
+                        } else if (accept('else')) {
+                            orelse = parseBlock();
+                            expectMatch('end', 'if', token);
+                            break;
+                        } else {
+                            expectMatch('end', 'if', token);
+                            break;
+                        }
+                    }
+                    return node('If', token, { clauses, orelse });
+                }
+                case 'while': {
+                    // While { condition, body }
+                    index++;
+                    const condition = parseExpression();
+                    expect('do');
+                    const body = parseLoopBody();
+                    expectMatch('end', 'while', token);
+                    return node('While', token, { condition, body });
+                }
+                case 'do': {
+                    // Do { body }
+                    index++;
+                    const body = parseBlock();
+                    expectMatch('end', 'do', token);
+                    return node('Do', token, { body });
+                }
+                case 'for': {
+                    // NumericFor { variable, start, end, step, body } / GenericFor { variables, iterators, body }
+                    index++;
+                    const first = node('Identifier', current(), { name: expectName() });
+                    if (accept('=')) {
+                        const start = parseExpression();
+                        expect(',');
+                        const end = parseExpression();
+                        const step = accept(',') ? parseExpression() : null;
+                        expect('do');
+                        const body = parseLoopBody();
+                        expectMatch('end', 'for', token);
+                        return node('NumericFor', token, { variable: first, start, end, step, body });
+                    }
+                    if (!is(',') && !is('in')) fail("'=' or 'in' expected");
+                    const variables = [first];
+                    while (accept(',')) variables.push(node('Identifier', current(), { name: expectName() }));
+                    expect('in');
+                    const iterators = parseExpressionList();
+                    expect('do');
+                    const body = parseLoopBody();
+                    expectMatch('end', 'for', token);
+                    return node('GenericFor', token, { variables, iterators, body });
+                }
+                case 'repeat': {
+                    // Repeat { body, condition }
+                    index++;
+                    const body = parseLoopBody();
+                    expectMatch('until', 'repeat', token);
+                    return node('Repeat', token, { body, condition: parseExpression() });
+                }
+                case 'function': {
+                    // FunctionDeclaration { name: Identifier | Member, isLocal, isMethod, parameters, isVararg, body }
+                    index++;
+                    let name = node('Identifier', current(), { name: expectName() });
+                    let isMethod = false;
+                    while (is('.') || is(':')) {
+                        isMethod = is(':');
+                        const separator = current();
+                        index++;
+                        name = node('Member', separator, { base: name, indexer: separator.value, name: expectName() });
+                        if (isMethod) break;
+                    }
+                    return node('FunctionDeclaration', token, { name, isLocal: false, isMethod, ...parseFunctionBody(token, isMethod) });
+                }
+                case 'local': {
+                    index++;
+                    if (accept('function')) {
+                        const name = node('Identifier', current(), { name: expectName() });
+                        return node('FunctionDeclaration', token, { name, isLocal: true, isMethod: false, ...parseFunctionBody(token, false) });
+                    }
+                    // Local { variables: [Identifier + attribute], init }
+                    const variables = [];
+                    do {
+                        const variable = node('Identifier', current(), { name: expectName(), attribute: null });
+                        if (accept('<')) {
+                            const attributeToken = current();
+                            variable.attribute = expectName();
+                            if (variable.attribute !== 'const' && variable.attribute !== 'close') {
+                                throw syntaxError(`unknown attribute '${variable.attribute}'`, attributeToken.line, attributeToken.column);
+                            }
+                            expect('>');
+                        }
+                        variables.push(variable);
+                    } while (accept(','));
+                    const init = accept('=') ? parseExpressionList() : [];
+                    return node('Local', token, { variables, init });
+                }
+                case 'break':
+                    index++;
+                    if (functions[functions.length - 1].loopDepth === 0) {
+                        throw syntaxError(`break outside a loop at line ${token.line} near '${tokenText(current())}'`, token.line, token.column);
+                    }
+                    return node('Break', token, {});
+                case 'goto':
+                    // Goto { label }
+                    index++;
+                    return node('Goto', token, { label: expectName() });
+                default:
+                    break;
+            }
+        }
+
+        if (accept('::')) {
+            // Label { name }
+            const name = expectName();
+            expect('::');
+            return node('Label', token, { name });
+        }
+
+        // Assignment { targets, init } / CallStatement { expression }
+        const expression = parseSuffixedExpression();
+        if (is('=') || is(',')) {
+            const targets = [expression];
+            while (accept(',')) targets.push(parseSuffixedExpression());
+            for (const target of targets) {
+                if (!['Identifier', 'Member', 'Index'].includes(target.type)) fail('syntax error');
+            }
+            expect('=');
+            return node('Assignment', token, { targets, init: parseExpressionList() });
+        }
+        if (expression.type !== 'Call' && expression.type !== 'MethodCall') fail('syntax error');
+        return node('CallStatement', token, { expression });
+    };
+
+    // Shared by function statements and expressions: { parameters: [Identifier], isVararg, body }
+    const parseFunctionBody = (openToken, isMethod) => {
+        const parameters = isMethod ? [node('Identifier', openToken, { name: 'self' })] : [];
+        let isVararg = false;
+        expect('(');
+        if (!is(')')) {
+            do {
+                if (accept('...')) {
+                    isVararg = true;
+                    break;
+                }
+                if (current().type !== 'name') fail('<name> expected');
+                parameters.push(node('Identifier', current(), { name: expectName() }));
+            } while (accept(','));
+        }
+        expect(')');
+        functions.push({ isVararg, loopDepth: 0 });
+        const body = parseBlock();
+        functions.pop();
+        expectMatch('end', 'function', openToken);
+        return { parameters, isVararg, body };
+    };
+
+    const parseExpressionList = () => {
+        const expressions = [parseExpression()];
+        while (accept(',')) expressions.push(parseExpression());
+        return expressions;
+    };
+
+    const parseExpression = (limit = 0) => {
+        const token = current();
+        let left;
+        if (is('not') || is('-') || is('#') || is('~')) {
+            // Unary { operator, argument }
+            index++;
+            left = node('Unary', token, { operator: token.value, argument: parseExpression(UNARY_PRIORITY) });
+        } else {
+            left = parseSimpleExpression();
+        }
+
+        while (true) {
+            const operator = current();
+            const priority = (operator.type === 'symbol' || operator.type === 'keyword') ? BINARY_PRIORITY[operator.value] : null;
+            if (!priority || priority[0] <= limit) return left;
+            index++;
+            // Binary { operator, left, right }
+            left = node('Binary', operator, { operator: operator.value, left, right: parseExpression(priority[1]) });
+        }
+    };
+
+    const parseSimpleExpression = () => {
+        const token = current();
+        switch (token.type) {
+            case 'number':
+                index++;
+                return node('Number', token, { raw: token.value });
+            case 'string':
+                index++;
+                return node('String', token, { value: token.value, raw: token.raw });
+            default:
+                break;
+        }
+        if (accept('nil')) return node('Nil', token, {});
+        if (accept('true')) return node('Boolean', token, { value: true });
+        if (accept('false')) return node('Boolean', token, { value: false });
+        if (is('...')) {
+            if (!functions[functions.length - 1].isVararg) fail("cannot use '...' outside a vararg function");
+            index++;
+            return node('Vararg', token, {});
+        }
+        if (is('{')) return parseTable();
+        if (accept('function')) return node('Function', token, parseFunctionBody(token, false));
+        return parseSuffixedExpression();
+    };
+
+    const parsePrimaryExpression = () => {
+        const token = current();
+        if (token.type === 'name') {
+            index++;
+            return node('Identifier', token, { name: token.value });
+        }
+        if (accept('(')) {
+            // Paren { expression } truncates multiple results to one
+            const expression = parseExpression();
+            expectMatch(')', '(', token);
+            return node('Paren', token, { expression });
+        }
+        return fail('unexpected symbol');
+    };
+
+    const parseCallArguments = () => {
+        const token = current();
+        if (token.type === 'string') {
+            index++;
+            return [node('String', token, { value: token.value, raw: token.raw })];
+        }
+        if (is('{')) return [parseTable()];
+        if (!accept('(')) fail('function arguments expected');
+        const args = is(')') ? [] : parseExpressionList();
+        expectMatch(')', '(', token);
+        return args;
+    };
+
+    const parseSuffixedExpression = () => {
+        let expression = parsePrimaryExpression();
+        while (true) {
+            const token = current();
+            if (is('.')) {
+                // Member { base, indexer: '.', name }
+                index++;
+                expression = node('Member', token, { base: expression, indexer: '.', name: expectName() });
+            } else if (is('[')) {
+                // Index { base, index }
+                index++;
+                const key = parseExpression();
+                expect(']');
+                expression = node('Index', token, { base: expression, index: key });
+            } else if (is(':')) {
+                // MethodCall { base, name, arguments }
+                index++;
+                const name = expectName();
+                expression = node('MethodCall', token, { base: expression, name, arguments: parseCallArguments() });
+            } else if (is('(') || is('{') || token.type === 'string') {
+                // Call { base, arguments }
+                expression = node('Call', token, { base: expression, arguments: parseCallArguments() });
+            } else {
+                return expression;
+            }
+        }
+    };
+
+    // Table { fields: [{ kind: 'positional' | 'named' | 'keyed', key, value }] }
+    const parseTable = () => {
+        const token = current();
+        expect('{');
+        const fields = [];
+        while (!is('}')) {
+            if (is('[')) {
+                index++;
+                const key = parseExpression();
+                expect(']');
+                expect('=');
+                fields.push({ kind: 'keyed', key, value: parseExpression() });
+            } else if (current().type === 'name' && is('=', lookahead())) {
+                const key = node('Identifier', current(), { name: expectName() });
+                index++;
+                fields.push({ kind: 'named', key, value: parseExpression() });
+            } else {
+                fields.push({ kind: 'positional', key: null, value: parseExpression() });
+            }
+            if (!accept(',') && !accept(';')) break;
+        }
+        expectMatch('}', '{', token);
+        return node('Table', token, { fields });
+    };
+
+    const start = current();
+    const body = parseBlock();
+    if (current().type !== 'eof') fail("'<eof>' expected");
+    return node('Chunk', start, { body });
+};
@@ -0,0 +1,54 @@
+// Helpers for the self-repair loop: when the Lua in a reply fails to parse or calls functions
+// that are not documented, the problems and the matching doc entries are sent back to the
+// model as a hidden turn so it can rewrite the reply.
+import { validateLua } from './luaValidator.js';
+import { parseMarkdown, extractCodeBlocks } from './markdown.js';
+
+const REPAIRABLE_KINDS = ['syntax', 'unknown-function'];
+
+// Code of every closed ```lua fence in a reply, found the same way the chat renders them. Untagged
+// fences are left out: they may not be Lua at all, and repairing them would spend the user's quota.
+export const extractLuaBlocks = (text) => extractCodeBlocks(parseMarkdown(text))
+    .filter(block => block.language === 'lua' && !block.isOpen)
+    .map(block => block.code);
+
+// Problems worth another attempt: [{ block (0-based), diagnostic }]
+export const findRepairableProblems = (text, signatures) => extractLuaBlocks(text).flatMap((code, block) =>
+    validateLua(code, signatures)
+        .filter(diagnostic => REPAIRABLE_KINDS.includes(diagnostic.kind))
+        .map(diagnostic => ({ block, diagnostic }))
+);
+
+const formatEntry = (entry) => [
+    entry.signatures.join(' / '),
+    entry.description,
+    ...entry.parameters.map(param => `  ${param.name}${param.type ? ` (${param.type}${param.optional ? ', optional' : ''})` : ''}${param.description ? `: ${param.description}` : ''}`),
+    ...entry.returns.map(result => `  Returns ${[result.type, result.description].filter(Boolean).join(': ')}`),
+].filter(Boolean).join('\n');
+
+// The hidden user turn asking for a corrected reply. For unknown functions it lists the closest
+// documented function in full and every function of the namespace by signature.
+export const buildRepairPrompt = (problems, reference) => {
+    const detailed = new Set();
+    const namespaces = new Set();
+    for (const { diagnostic } of problems) {
+        if (diagnostic.kind !== 'unknown-function') continue;
+        if (diagnostic.suggestion) detailed.add(diagnostic.suggestion);
+        namespaces.add(diagnostic.name.split('.')[0]);
+    }
+
+    const documentation = [
+        ...[...detailed].map(name => reference.byName.get(name)).filter(Boolean).map(formatEntry),
+        ...[...namespaces].map(namespace => {
+            const signatures = reference.entries
+                .filter(entry => entry.namespace === namespace && entry.name.startsWith(`${namespace}.`))
+                .flatMap(entry => entry.signatures);
+            return signatures.length > 0 ? `All documented \`${namespace}\` functions:\n${signatures.join('\n')}` : '';
+        }),
+    ].filter(Boolean);
+
+    const problemList = problems.map(({ block, diagnostic }) => `- Code block ${block + 1}, line ${diagnostic.line}: ${diagnostic.message}`).join('\n');
+    return `Your previous reply contains Lua code that does not validate against Lua 5.4 and the Perception.cx API:\n\n${problemList}\n\n` +
+        (documentation.length > 0 ? `Relevant Perception.cx API Documentation:\n\n${documentation.join('\n\n')}\n\n` : '') +
+        'Rewrite your previous reply in full with corrected code. Only call functions from the Perception.cx documentation or the Lua 5.4 standard library, and do not mention this correction.';
+};
@@ -0,0 +1,266 @@
+// Checks Lua code from AI replies before it is shown: the code must parse as Lua 5.4, and every
+// `namespace.function(...)` call on a Perception.cx namespace must exist in Perception.txt and
+// receive an argument count one of its signatures accepts.
+//
+// Diagnostic: { severity: 'error' | 'warning', kind: 'syntax' | 'unknown-function' | 'arity', line, column, message }
+// API diagnostics also carry the called `name`, and unknown functions a close documented `suggestion` (or null).
+import { parseLua } from './luaParser.js';
+
+// Lua 5.4 standard library tables; Perception.cx extends `math` with its own helpers
+const LUA_LIBRARIES = {
+    coroutine: ['close', 'create', 'isyieldable', 'resume', 'running', 'status', 'wrap', 'yield'],
+    debug: ['debug', 'gethook', 'getinfo', 'getlocal', 'getmetatable', 'getregistry', 'getupvalue', 'getuservalue', 'sethook', 'setcstacklimit', 'setlocal', 'setmetatable', 'setupvalue', 'setuservalue', 'traceback', 'upvalueid', 'upvaluejoin'],
+    io: ['close', 'flush', 'input', 'lines', 'open', 'output', 'popen', 'read', 'tmpfile', 'type', 'write'],
+    math: ['abs', 'acos', 'asin', 'atan', 'ceil', 'cos', 'deg', 'exp', 'floor', 'fmod', 'log', 'max', 'min', 'modf', 'rad', 'random', 'randomseed', 'sin', 'sqrt', 'tan', 'tointeger', 'type', 'ult'],
+    os: ['clock', 'date', 'difftime', 'execute', 'exit', 'getenv', 'remove', 'rename', 'setlocale', 'time', 'tmpname'],
+    package: ['loadlib', 'searchpath'],
+    string: ['byte', 'char', 'dump', 'find', 'format', 'gmatch', 'gsub', 'len', 'lower', 'match', 'pack', 'packsize', 'rep', 'reverse', 'sub', 'unpack', 'upper'],
+    table: ['concat', 'insert', 'move', 'pack', 'remove', 'sort', 'unpack'],
+    utf8: ['char', 'codepoint', 'codes', 'len', 'offset'],
+};
+
+// "render.draw_text(font, text, x, outline?)" -> { name, min, max }
+const parseSignature = (signature, optionalNames) => {
+    const match = signature.match(/^([\w.:]+)\s*\(([^)]*)\)/);
+    if (!match) return null;
+    const params = match[2].split(',').map(param => param.trim()).filter(Boolean);
+    if (params[params.length - 1] === '...') {
+        return { name: match[1], min: params.length - 1, max: Infinity };
+    }
+    const required = params.map(param => !param.endsWith('?') && !optionalNames.has(param));
+    return { name: match[1], min: required.lastIndexOf(true) + 1, max: params.length };
+};
+
+// Lookup tables for validation, built once per parsed API reference:
+// { functions: Map<'render.draw_line' | 'vec2', [{ min, max }]>, namespaces: Map<'render', [names]> }
+export const createApiSignatures = (reference) => {
+    const functions = new Map();
+    const namespaces = new Map();
+
+    for (const entry of reference.entries) {
+        const optionalNames = new Set(entry.parameters.filter(param => param.optional).map(param => param.name));
+        for (const signature of entry.signatures) {
+            const parsed = parseSignature(signature, optionalNames);
+            // Methods (`panel:add_button`) are called on values we cannot resolve statically
+            if (!parsed || parsed.name.includes(':')) continue;
+
+            if (!functions.has(parsed.name)) functions.set(parsed.name, []);
+            functions.get(parsed.name).push({ min: parsed.min, max: parsed.max });
+
+            const [namespace, member] = parsed.name.split('.');
+            if (member) {
+                if (!namespaces.has(namespace)) namespaces.set(namespace, []);
+                namespaces.get(namespace).push(member);
+            }
+        }
+    }
+    return { functions, namespaces };
+};
+
+const editDistance = (a, b) => {
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const row = [i];
+        for (let j = 1; j <= b.length; j++) {
+            row[j] = Math.min(previous[j] + 1, row[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+        }
+        previous = row;
+    }
+    return previous[b.length];
+};
+
+const closestName = (name, candidates) => {
+    let best = null;
+    let bestDistance = Math.max(3, Math.floor(name.length / 3)) + 1;
+    for (const candidate of candidates) {
+        // "draw_circle_filled2" is most likely a made-up variant of "draw_circle"
+        const distance = name.startsWith(candidate) ? 1 : editDistance(name, candidate);
+        if (distance < bestDistance) {
+            best = candidate;
+            bestDistance = distance;
+        }
+    }
+    return best;
+};
+
+const describeArity = ({ min, max }) => {
+    if (max === Infinity) return `at least ${min}`;
+    return min === max ? `${min}` : `${min} to ${max}`;
+};
+
+// Generic traversal for nodes without scoping rules of their own
+const forEachChild = (node, visit) => {
+    for (const [key, value] of Object.entries(node)) {
+        if (key === 'line' || key === 'column' || key === 'type' || !value || typeof value !== 'object') continue;
+        for (const item of Array.isArray(value) ? value : [value]) {
+            if (!item || typeof item !== 'object') continue;
+            if (item.type) {
+                visit(item);
+            } else {
+                forEachChild(item, visit); // If clauses and table fields
+            }
+        }
+    }
+};
+
+// Members a script defines itself, such as `function str.title_case(s)`, are not hallucinations
+const collectDefinedMembers = (chunk) => {
+    const defined = new Set();
+    const addTarget = (target) => {
+        if (target.type === 'Member' && target.indexer === '.' && target.base.type === 'Identifier') {
+            defined.add(`${target.base.name}.${target.name}`);
+        }
+    };
+    const visit = (node) => {
+        if (node.type === 'FunctionDeclaration') addTarget(node.name);
+        if (node.type === 'Assignment') node.targets.forEach(addTarget);
+        forEachChild(node, visit);
+    };
+    visit(chunk);
+    return defined;
+};
+
+const checkCalls = (chunk, signatures, diagnostics) => {
+    const definedMembers = collectDefinedMembers(chunk);
+    const scopes = [new Set()];
+    const isLocal = (name) => scopes.some(scope => scope.has(name));
+    const declare = (name) => scopes[scopes.length - 1].add(name);
+    const withScope = (callback) => {
+        scopes.push(new Set());
+        callback();
+        scopes.pop();
+    };
+    const warn = (node, kind, message, details) => diagnostics.push({ severity: 'warning', kind, line: node.line, column: node.column, message, ...details });
+
+    const checkCall = (call) => {
+        const callee = call.base;
+        let name = null;
+        if (callee.type === 'Identifier' && !isLocal(callee.name) && signatures.functions.has(callee.name)) {
+            name = callee.name; // Constructors such as vec2(x, y)
+        } else if (callee.type === 'Member' && callee.base.type === 'Identifier' && !isLocal(callee.base.name)) {
+            const namespace = callee.base.name;
+            name = `${namespace}.${callee.name}`;
+            const apiMembers = signatures.namespaces.get(namespace);
+            const libraryMembers = LUA_LIBRARIES[namespace];
+            if (!apiMembers && !libraryMembers) return;
+            if (definedMembers.has(name) || libraryMembers?.includes(callee.name)) return;
+            if (!signatures.functions.has(name)) {
+                const suggestion = closestName(callee.name, [...(apiMembers || []), ...(libraryMembers || [])]);
+                const hint = suggestion ? ` Did you mean \`${namespace}.${suggestion}\`?` : '';
+                warn(callee.base, 'unknown-function', `\`${name}\` is not a documented ${apiMembers ? 'Perception.cx' : 'Lua 5.4'} function.${hint}`, {
+                    name,
+                    suggestion: suggestion ? `${namespace}.${suggestion}` : null,
+                });
+                return;
+            }
+        }
+        if (!name || !signatures.functions.has(name)) return;
+
+        // A trailing call or `...` can expand to any number of values
+        const count = call.arguments.length;
+        const last = call.arguments[count - 1];
+        const isOpenEnded = last && ['Call', 'MethodCall', 'Vararg'].includes(last.type);
+        const arities = signatures.functions.get(name);
+        const accepts = ({ min, max }) => isOpenEnded ? count - 1 <= max : count >= min && count <= max;
+        if (!arities.some(accepts)) {
+            const expected = arities.map(describeArity).join(' or ');
+            warn(callee.type === 'Member' ? callee.base : callee, 'arity', `\`${name}\` expects ${expected} argument${expected === '1' ? '' : 's'}, but ${count} ${count === 1 ? 'was' : 'were'} passed.`, { name });
+        }
+    };
+
+    const visitBlock = (statements) => withScope(() => statements.forEach(visit));
+
+    const visitFunction = (node) => withScope(() => {
+        node.parameters.forEach(parameter => declare(parameter.name));
+        node.body.forEach(visit);
+    });
+
+    const visit = (node) => {
+        switch (node.type) {
+            case 'Local':
+                node.init.forEach(visit);
+                node.variables.forEach(variable => declare(variable.name));
+                return;
+            case 'FunctionDeclaration':
+                if (node.isLocal) declare(node.name.name);
+                visitFunction(node);
+                return;
+            case 'Function':
+                visitFunction(node);
+                return;
+            case 'Do':
+            case 'While':
+                if (node.condition) visit(node.condition);
+                visitBlock(node.body);
+                return;
+            case 'Repeat':
+                // The condition can see the body's locals
+                withScope(() => {
+                    node.body.forEach(visit);
+                    visit(node.condition);
+                });
+                return;
+            case 'If':
+                node.clauses.forEach(clause => {
+                    visit(clause.condition);
+                    visitBlock(clause.body);
+                });
+                if (node.orelse) visitBlock(node.orelse);
+                return;
+            case 'NumericFor':
+                [node.start, node.end, node.step].filter(Boolean).forEach(visit);
+                withScope(() => {
+                    declare(node.variable.name);
+                    node.body.forEach(visit);
+                });
+                return;
+            case 'GenericFor':
+                node.iterators.forEach(visit);
+                withScope(() => {
+                    node.variables.forEach(variable => declare(variable.name));
+                    node.body.forEach(visit);
+                });
+                return;
+            case 'Call':
+                checkCall(node);
+                forEachChild(node, visit);
+                return;
+            default:
+                forEachChild(node, visit);
+        }
+    };
+
+    chunk.body.forEach(visit);
+};
+
+// Returns the diagnostics for one Lua source, sorted by position. Code blocks and the editor call
+// this while rendering, so a bug in the checker must not throw: the code then simply goes unchecked.
+export const validateLua = (source, signatures) => {
+    let chunk;
+    try {
+        chunk = parseLua(source);
+    } catch (error) {
+        if (error.line !== undefined) {
+            return [{ severity: 'error', kind: 'syntax', line: error.line, column: error.column, message: error.message }];
+        }
+        console.error("Error validating Lua:", error);
+        return [];
+    }
+
+    const diagnostics = [];
+    try {
+        if (signatures) checkCalls(chunk, signatures, diagnostics);
+    } catch (error) {
+        console.error("Error validating Lua:", error);
+        return [];
+    }
+    return diagnostics.sort((a, b) => a.line - b.line || a.column - b.column);
+};
+
+// Diagnostics for a fenced block of a reply. Untagged blocks are usually Lua, but can also be shell
+// commands or program output, so they only get API warnings, and only when they parse as Lua.
+export const validateFence = (code, language, signatures) => {
+    if (language === 'lua') return validateLua(code, signatures);
+    if (language) return [];
+    return validateLua(code, signatures).filter(diagnostic => diagnostic.kind !== 'syntax');
+};
@@ -0,0 +1,330 @@
+// Markdown parser for chat messages. It produces a plain tree that MarkdownMessage turns into
+// React elements, so no HTML from a reply is ever injected into the page.
+//
+// Blocks: { type: 'heading', level, children } | { type: 'paragraph', children }
+//       | { type: 'code', language, code, isOpen, heading } | { type: 'list', ordered, start, items: [[Block]] }
+//       | { type: 'blockquote', children: [Block] } | { type: 'table', align, header, rows } | { type: 'rule' }
+// Inline: { type: 'text', text } | { type: 'code', text } | { type: 'strong' | 'em' | 'del', children }
+//       | { type: 'link', href, children } | { type: 'break' }
+//
+// `isOpen` marks a fence that has not been closed yet, which happens while a reply is streaming.
+
+const FENCE = /^ {0,3}(`{3,}|~{3,})\s*([^`\s]*)[^`]*$/;
+const HEADING = /^ {0,3}(#{1,6})(?:\s+(.*?))?(?:\s+#+)?\s*$/;
+const RULE = /^ {0,3}([-*_])(?:\s*\1){2,}\s*$/;
+const BLOCKQUOTE = /^ {0,3}>\s?/;
+const LIST_ITEM = /^(\s*)([-*+]|\d{1,9}[.)])(\s+|$)/;
+const TABLE_DELIMITER = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+
+const SAFE_URL = /^(https?:|mailto:)/i;
+
+// Only web and mail links are rendered; anything else (javascript:, data:...) stays plain text
+export const sanitizeUrl = (url) => SAFE_URL.test(url.trim()) ? url.trim() : null;
+
+const isBlank = (line) => line.trim() === '';
+
+const startsBlock = (line) => FENCE.test(line) || HEADING.test(line) || RULE.test(line) || BLOCKQUOTE.test(line) || LIST_ITEM.test(line);
+
+const splitTableRow = (line) => {
+    const cells = [];
+    let cell = '';
+    const text = line.trim().replace(/^\|/, '').replace(/\|$/, '');
+    for (let i = 0; i < text.length; i++) {
+        if (text[i] === '\\' && text[i + 1] === '|') {
+            cell += '|';
+            i++;
+        } else if (text[i] === '|') {
+            cells.push(cell.trim());
+            cell = '';
+        } else {
+            cell += text[i];
+        }
+    }
+    cells.push(cell.trim());
+    return cells;
+};
+
+// --- Inline ---
+
+// Finds the closing delimiter for emphasis, skipping code spans
+const findClosing = (text, from, delimiter) => {
+    for (let i = from; i < text.length; i++) {
+        if (text[i] === '\\') {
+            i++;
+        } else if (text[i] === '`') {
+            const run = text.slice(i).match(/^`+/)[0];
+            const end = text.indexOf(run, i + run.length);
+            if (end !== -1) i = end + run.length - 1;
+        } else if (text.startsWith(delimiter, i) && i > from && !/\s/.test(text[i - 1])) {
+            if (delimiter.length === 1 && text[i + 1] === delimiter) {
+                i++; // Part of a longer run such as "**"
+                continue;
+            }
+            return i;
+        }
+    }
+    return -1;
+};
+
+// "[text](url)" starting at i -> { label, url, end } or null
+const readLink = (text, i) => {
+    let depth = 0;
+    let j = i;
+    for (; j < text.length; j++) {
+        if (text[j] === '\\') j++;
+        else if (text[j] === '[') depth++;
+        else if (text[j] === ']' && --depth === 0) break;
+    }
+    if (j >= text.length || text[j + 1] !== '(') return null;
+    const match = text.slice(j + 2).match(/^\s*<?([^\s()<>]*(?:\([^\s()]*\)[^\s()<>]*)*)>?(?:\s+"[^"]*")?\s*\)/);
+    if (!match) return null;
+    return { label: text.slice(i + 1, j), url: match[1], end: j + 2 + match[0].length };
+};
+
+export const parseInline = (text) => {
+    const nodes = [];
+    let buffer = '';
+    const flush = () => {
+        if (buffer) nodes.push({ type: 'text', text: buffer });
+        buffer = '';
+    };
+    const push = (node) => {
+        flush();
+        nodes.push(node);
+    };
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        const rest = text.slice(i);
+
+        if (char === '\\' && /^[\\`*_{}[\]()#+\-.!|~<>]/.test(text[i + 1] || '')) {
+            buffer += text[++i];
+            continue;
+        }
+        if (char === '\n') {
+            // Two trailing spaces force a line break; other newlines are soft
+            if (/ {2,}$/.test(buffer)) {
+                buffer = buffer.replace(/ +$/, '');
+                push({ type: 'break' });
+            } else {
+                buffer += ' ';
+            }
+            continue;
+        }
+        if (char === '`') {
+            const run = rest.match(/^`+/)[0];
+            const end = text.indexOf(run, i + run.length);
+            if (end !== -1) {
+                const code = text.slice(i + run.length, end).replace(/\n/g, ' ');
+                push({ type: 'code', text: /^ .*[^ ].* $/.test(code) ? code.slice(1, -1) : code });
+                i = end + run.length - 1;
+            } else {
+                buffer += run;
+                i += run.length - 1;
+            }
+            continue;
+        }
+        if (char === '[' || (char === '!' && text[i + 1] === '[')) {
+            // Images are shown as links: replies should not load remote content into the page
+            const link = readLink(text, char === '!' ? i + 1 : i);
+            const href = link && sanitizeUrl(link.url);
+            if (link && href) {
+                push({ type: 'link', href, children: parseInline(link.label || link.url) });
+                i = link.end - 1;
+                continue;
+            }
+        }
+        if (char === '<') {
+            const autolink = rest.match(/^<((?:https?:\/\/|mailto:)[^\s<>]+)>/i);
+            if (autolink) {
+                push({ type: 'link', href: autolink[1], children: [{ type: 'text', text: autolink[1].replace(/^mailto:/i, '') }] });
+                i += autolink[0].length - 1;
+                continue;
+            }
+        }
+        if (char === 'h' && !/\w$/.test(buffer)) {
+            const url = rest.match(/^https?:\/\/[^\s<>]*[^\s<>.,;:!?"')\]]/);
+            if (url) {
+                push({ type: 'link', href: url[0], children: [{ type: 'text', text: url[0] }] });
+                i += url[0].length - 1;
+                continue;
+            }
+        }
+        if (char === '*' || char === '_' || char === '~') {
+            const run = rest.match(/^(\*\*|__|~~|\*|_)/)?.[0];
+            // Intraword underscores (snake_case names) are literal
+            const isIntraword = char === '_' && /\w$/.test(buffer);
+            if (run && run !== '~' && !isIntraword && text[i + run.length] && !/\s/.test(text[i + run.length])) {
+                const end = findClosing(text, i + run.length, run);
+                const isWordEnd = end !== -1 && !(char === '_' && /\w/.test(text[end + run.length] || ''));
+                if (end !== -1 && isWordEnd) {
+                    const type = run === '~~' ? 'del' : run.length === 2 ? 'strong' : 'em';
+                    push({ type, children: parseInline(text.slice(i + run.length, end)) });
+                    i = end + run.length - 1;
+                    continue;
+                }
+            }
+        }
+        buffer += char;
+    }
+    flush();
+    return nodes;
+};
+
+// --- Blocks ---
+
+const parseList = (lines, start) => {
+    const first = lines[start].match(LIST_ITEM);
+    const indent = first[1].length;
+    const ordered = /\d/.test(first[2]);
+    const items = [];
+    let current = null;
+    let i = start;
+
+    for (; i < lines.length; i++) {
+        const line = lines[i];
+        const marker = line.match(LIST_ITEM);
+        if (marker && marker[1].length === indent && /\d/.test(marker[2]) === ordered) {
+            // Content of an item is dedented to the column after its marker
+            current = { contentIndent: marker[0].length, lines: [line.slice(marker[0].length)] };
+            items.push(current);
+            continue;
+        }
+        if (isBlank(line)) {
+            const next = lines.slice(i + 1).find(candidate => !isBlank(candidate));
+            const nextIndent = next ? next.match(/^\s*/)[0].length : 0;
+            const nextMarker = next?.match(LIST_ITEM);
+            if (!next || (nextIndent <= indent && !(nextMarker && nextMarker[1].length === indent))) break;
+            current.lines.push('');
+            continue;
+        }
+        const lineIndent = line.match(/^\s*/)[0].length;
+        if (lineIndent > indent) {
+            current.lines.push(line.slice(Math.min(lineIndent, current.contentIndent)));
+        } else if (!startsBlock(line) && !isBlank(current.lines[current.lines.length - 1])) {
+            current.lines.push(line.trim()); // Lazy continuation of the item's paragraph
+        } else {
+            break;
+        }
+    }
+
+    return {
+        block: {
+            type: 'list',
+            ordered,
+            start: ordered ? parseInt(first[2], 10) : 1,
+            items: items.map(item => parseBlocks(item.lines)),
+        },
+        next: i,
+    };
+};
+
+const parseBlocks = (lines) => {
+    const blocks = [];
+    let i = 0;
+
+    while (i < lines.length) {
+        const line = lines[i];
+        if (isBlank(line)) {
+            i++;
+            continue;
+        }
+
+        const fence = line.match(FENCE);
+        if (fence) {
+            const [, marker, language] = fence;
+            const indent = line.match(/^ */)[0].length;
+            const closing = new RegExp(`^ {0,3}${marker[0] === '`' ? '`' : '~'}{${marker.length},}\\s*$`);
+            const code = [];
+            let j = i + 1;
+            while (j < lines.length && !closing.test(lines[j])) {
+                code.push(lines[j].replace(new RegExp(`^ {0,${indent}}`), ''));
+                j++;
+            }
+            blocks.push({ type: 'code', language: language.toLowerCase(), code: code.join('\n'), isOpen: j >= lines.length });
+            i = j + 1;
+            continue;
+        }
+
+        const heading = line.match(HEADING);
+        if (heading) {
+            blocks.push({ type: 'heading', level: heading[1].length, children: parseInline(heading[2] || '') });
+            i++;
+            continue;
+        }
+
+        if (RULE.test(line)) {
+            blocks.push({ type: 'rule' });
+            i++;
+            continue;
+        }
+
+        if (BLOCKQUOTE.test(line)) {
+            const quoted = [];
+            while (i < lines.length && BLOCKQUOTE.test(lines[i])) {
+                quoted.push(lines[i].replace(BLOCKQUOTE, ''));
+                i++;
+            }
+            blocks.push({ type: 'blockquote', children: parseBlocks(quoted) });
+            continue;
+        }
+
+        if (line.includes('|') && i + 1 < lines.length && TABLE_DELIMITER.test(lines[i + 1]) && lines[i + 1].includes('-')) {
+            const header = splitTableRow(line);
+            const align = splitTableRow(lines[i + 1]).map(cell => {
+                if (cell.startsWith(':') && cell.endsWith(':')) return 'center';
+                if (cell.endsWith(':')) return 'right';
+                return cell.startsWith(':') ? 'left' : null;
+            });
+            const rows = [];
+            i += 2;
+            while (i < lines.length && !isBlank(lines[i]) && lines[i].includes('|')) {
+                rows.push(splitTableRow(lines[i]).slice(0, header.length).map(parseInline));
+                i++;
+            }
+            blocks.push({ type: 'table', align, header: header.map(parseInline), rows });
+            continue;
+        }
+
+        if (LIST_ITEM.test(line) && !isBlank(line.replace(LIST_ITEM, ''))) {
+            const { block, next } = parseList(lines, i);
+            blocks.push(block);
+            i = next;
+            continue;
+        }
+
+        const paragraph = [line.trim()];
+        i++;
+        while (i < lines.length && !isBlank(lines[i]) && !startsBlock(lines[i])) {
+            paragraph.push(lines[i].replace(/^\s+/, ''));
+            i++;
+        }
+        blocks.push({ type: 'paragraph', children: parseInline(paragraph.join('\n')) });
+    }
+    return blocks;
+};
+
+export const inlineText = (nodes) => nodes.map(node => node.children ? inlineText(node.children) : node.text || '').join('');
+
+export const parseMarkdown = (text) => {
+    const blocks = parseBlocks(text.replace(/\r\n?/g, '\n').split('\n'));
+
+    // Code blocks remember the heading above them, which names them when saved as files
+    let heading = null;
+    const visit = (block) => {
+        if (block.type === 'heading') heading = inlineText(block.children).trim() || heading;
+        if (block.type === 'code') block.heading = heading;
+        if (block.type === 'list') block.items.forEach(item => item.forEach(visit));
+        if (block.type === 'blockquote') block.children.forEach(visit);
+    };
+    blocks.forEach(visit);
+    return blocks;
+};
+
+// All fenced code blocks in document order, including those nested in lists and quotes
+export const extractCodeBlocks = (blocks) => blocks.flatMap(block => {
+    if (block.type === 'code') return [block];
+    if (block.type === 'list') return block.items.flatMap(extractCodeBlocks);
+    if (block.type === 'blockquote') return extractCodeBlocks(block.children);
+    return [];
+});
@@ -0,0 +1,134 @@
+// Splits Perception.txt into one chunk per API entry (a name line followed by `Signature:`)
+// plus "topic" chunks for the free-form parts between entries (constants, usage examples...).
+//
+// The document has no markup, so headings are recognised by shape: a short title-like line
+// followed by a description sentence, an entry, an example, or another heading.
+
+const isEntryStart = (lines, i) => lines[i].trim() !== '' && /^Signature:/.test(lines[i + 1] || '');
+
+const looksLikeHeading = (line) => {
+    const text = line.trim();
+    if (text.length < 2 || text.length > 60 || text === 'Copy') return false;
+    if (/^[a-z]\w* - [^.()]+$/.test(text)) return true; // e.g. "vec2 - 2D Vector"
+    if (!/^[A-Z0-9]/.test(text) || /[=:;{}[\]"'`]|\w\(|[.,!?]$/.test(text)) return false;
+    if (text.replace(/\([^)]*\)/g, '').includes(',')) return false; // "Shift (16), Ctrl (17)" is a list, not a title
+    return text.split(/\s+/).length <= 8;
+};
+
+const looksLikeDescription = (line) => /[.:]$/.test(line.trim());
+
+// A section description introduces a whole namespace ("Functions for drawing text, shapes...")
+// rather than a list of fields or a usage note
+const looksLikeSectionDescription = (line) => {
+    const text = line.trim();
+    return text.endsWith('.') && !text.includes(' - ') && !/^[a-z_]+[.:]/.test(text);
+};
+
+const nextNonEmpty = (lines, i) => {
+    let j = i + 1;
+    while (j < lines.length && lines[j].trim() === '') j++;
+    return j < lines.length ? j : -1;
+};
+
+// Index of the last line of the paragraph starting at i
+const descriptionEnd = (lines, i) => {
+    let j = i;
+    while (j + 1 < lines.length && lines[j + 1].trim() !== '' && !isEntryStart(lines, j + 1)) j++;
+    return j;
+};
+
+// Returns 'section', 'subsection' or null for the line at i
+const classifyHeading = (lines, i, depth = 0) => {
+    if (!looksLikeHeading(lines[i]) || isEntryStart(lines, i)) return null;
+
+    const next = nextNonEmpty(lines, i);
+    if (next === -1) return null;
+
+    const nextLine = lines[next].trim();
+    if (isEntryStart(lines, next) || nextLine === 'Copy' || nextLine === 'Example:') return 'subsection';
+    if (looksLikeSectionDescription(nextLine)) {
+        // Section descriptions stand alone: the paragraph is followed directly by structure, not more prose
+        const afterDescription = nextNonEmpty(lines, descriptionEnd(lines, next));
+        if (afterDescription === -1 || isEntryStart(lines, afterDescription) || looksLikeHeading(lines[afterDescription])) return 'section';
+    }
+    if (looksLikeDescription(nextLine)) return 'subsection';
+    if (depth < 3 && classifyHeading(lines, next, depth + 1)) return 'subsection'; // e.g. "Extended API" above "Marvel Rivals"
+    return null;
+};
+
+// "Constructor" entries are named after what they construct: `Signature: vec2(x, y)` -> "vec2"
+const entryName = (nameLine, signatureLine) => {
+    const name = nameLine.trim();
+    if (name !== 'Constructor') return name;
+    return signatureLine.replace(/^Signature:\s*/, '').split('(')[0].trim() || name;
+};
+
+export const splitPerceptionDocs = (text) => {
+    const lines = text.split(/\r?\n/);
+    const sections = [];
+    const chunks = [];
+    const usedIds = new Set();
+
+    let section = { title: 'Perception.cx', description: '' };
+    let subsection = null;
+    let block = null;
+
+    const uniqueId = (id) => {
+        let candidate = id;
+        for (let n = 2; usedIds.has(candidate); n++) candidate = `${id}#${n}`;
+        usedIds.add(candidate);
+        return candidate;
+    };
+
+    const closeBlock = () => {
+        if (!block) return;
+        const body = block.lines.join('\n').trim();
+        if (block.kind === 'function') {
+            chunks.push({ id: uniqueId(`api:${block.name}`), kind: 'function', name: block.name, title: block.name, section: section.title, subsection, text: `${block.name}\n${body}` });
+        } else if (body) {
+            chunks.push({ id: uniqueId(`topic:${section.title}/${block.title}`), kind: 'topic', title: block.title, section: section.title, subsection, text: `${block.title}\n${body}` });
+        }
+        block = null;
+    };
+
+    for (let i = 0; i < lines.length; i++) {
+        if (isEntryStart(lines, i)) {
+            closeBlock();
+            block = { kind: 'function', name: entryName(lines[i], lines[i + 1]), lines: [] };
+            continue;
+        }
+
+        const heading = classifyHeading(lines, i);
+        if (heading === 'section') {
+            closeBlock();
+            const descriptionStart = nextNonEmpty(lines, i);
+            const descriptionIndex = descriptionEnd(lines, descriptionStart);
+            section = { title: lines[i].trim(), description: lines.slice(descriptionStart, descriptionIndex + 1).join(' ').trim() };
+            sections.push(section);
+            subsection = null;
+            i = descriptionIndex;
+            continue;
+        }
+        // Lists such as "Returns nil and logs an error if:" contain title-like items ("Pointer is null"),
+        // so before its example an entry only ends at a heading that introduces an entry or a description
+        const next = nextNonEmpty(lines, i);
+        const insideEntry = block?.kind === 'function' && !block.hasExample &&
+            !(next !== -1 && (isEntryStart(lines, next) || (looksLikeDescription(lines[next]) && lines[next].trim() !== 'Example:')));
+        if (heading === 'subsection' && !insideEntry) {
+            closeBlock();
+            subsection = lines[i].trim();
+            block = { kind: 'topic', title: subsection, lines: [] };
+            continue;
+        }
+
+        if (!block) {
+            if (lines[i].trim() === '') continue;
+            block = { kind: 'topic', title: section.title, lines: [] }; // Loose text right after a section description
+        }
+        block.lines.push(lines[i]);
+        if (lines[i].trim() === 'Example:') block.hasExample = true;
+    }
+    closeBlock();
+
+    return { sections, chunks };
+};
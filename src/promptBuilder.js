@@ -0,0 +1,53 @@
+// Builds what is sent to the model for a chat: the conversation as Gemini-style `contents`, and a
+// system instruction made of the chat's prompt profile, its workspace files and the documentation
+// and examples retrieved for the latest questions.
+import { retrieveContext, formatContext } from './retrieval.js';
+import { buildModelOptions } from './promptProfiles.js';
+import { formatWorkspaceContext } from './workspace.js';
+import { messageParts, messageContent } from './attachments.js';
+import { isSourceEnabled } from './knowledge.js';
+import { buildTitlePrompt } from './sessions.js';
+
+// The request for the next reply to `history`, and the sources it was grounded in.
+//   session           the chat; its `knowledgeSources` switches and `workspaceContext` setting apply
+//   profile           the chat's prompt profile (system instruction, model, generation parameters)
+//   docIndex          search index over the loaded knowledge sources (createSearchIndex)
+//   knowledgeSources  every source, to tell which ones the chat uses
+//   workspaceFiles    the chat's workspace files
+// Returns { request: { contents, systemInstruction, model?, generationConfig? }, sources }, where
+// `sources` lists what the reply may cite: [{ id, title, kind }].
+export const buildChatRequest = ({ history, session, profile, docIndex, knowledgeSources = [], workspaceFiles = [] }) => {
+    // The doc sections and example snippets that match the latest two questions, from the
+    // knowledge sources this chat uses
+    const userMessages = history.filter(msg => msg.sender === 'user');
+    const recentQuestions = userMessages.slice(-2).map(msg => msg.text).join('\n');
+    const sourceIds = new Set(knowledgeSources.filter(source => isSourceEnabled(session, source)).map(source => source.id));
+    const chunks = retrieveContext(docIndex, recentQuestions, { sourceIds });
+
+    // The workspace files, unless the user stopped sharing them with this chat
+    const files = session?.workspaceContext !== false ? workspaceFiles : [];
+
+    const latestMessage = userMessages[userMessages.length - 1];
+    const context = formatWorkspaceContext(files, latestMessage ? messageContent(latestMessage) : '') + formatContext(chunks);
+    return {
+        request: {
+            ...buildModelOptions(profile, context),
+            // Attached files follow the text of their message as separate parts
+            contents: history.map(msg => ({ role: msg.sender === 'user' ? 'user' : 'model', parts: messageParts(msg) })),
+        },
+        sources: [
+            ...files.map(file => ({ id: `workspace-${file.id}`, title: file.name, kind: 'workspace' })),
+            ...chunks.map(chunk => ({ id: chunk.id, title: chunk.title, kind: chunk.kind }))
+        ],
+    };
+};
+
+// The hidden request for a chat's title, from its first question and answer. A question sent with
+// attachments only is described by their names.
+export const buildTitleRequest = ([question, answer]) => {
+    const questionText = question.text || (question.attachments || []).map(attachment => attachment.name).join(', ');
+    return {
+        questionText,
+        request: { contents: [{ role: "user", parts: [{ text: buildTitlePrompt(questionText, answer.text) }] }] },
+    };
+};
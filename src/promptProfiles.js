@@ -0,0 +1,98 @@
+// Prompt profiles: the system prompt, model and generation parameters a chat is answered with.
+// The built-in profiles ship with the app and cannot be edited; custom profiles live in the
+// session store next to snippets. Every session remembers its profile in `profileId`.
+//
+// Profile: { id, name, systemPrompt, model, temperature, topP, maxOutputTokens }
+// An empty `model` uses the server's default model, and a null parameter the provider's default.
+export const DEFAULT_PROFILE_ID = 'builtin-default';
+
+// Ranges the server accepts (server/proxy.mjs)
+export const GENERATION_LIMITS = {
+    temperature: { label: 'Temperature', min: 0, max: 2, step: 0.1 },
+    topP: { label: 'Top P', min: 0, max: 1, step: 0.05 },
+    maxOutputTokens: { label: 'Max output tokens', min: 1, max: 65536, step: 1, integer: true },
+};
+
+const BASE_RULES = `You are an AI chatbot specialized in Lua 5.4 and the Perception.cx API. You MUST strictly adhere to the provided Perception.cx API documentation and Lua 5.4 syntax. You can also create new Lua libraries. However, when providing code examples or explanations, you MUST NOT reference or use any external Lua libraries that are not explicitly part of Lua 5.4 or the Perception.cx API, unless you are defining that library within the current response. When providing code, use Lua syntax highlighting within markdown code blocks.`;
+
+export const BUILTIN_PROFILES = [
+    {
+        id: DEFAULT_PROFILE_ID,
+        name: 'Perception expert',
+        systemPrompt: `${BASE_RULES} Your response should be a single, professional, and well-formatted message. Avoid conversational filler and get straight to the point. For code examples, provide a clear, concise heading (e.g., "## Generic Lua Watermark Example") before the code block. Start with a brief introductory sentence, followed by the heading and the code block. Use the provided Lua examples to learn and improve your responses, making them more accurate and relevant to the user's needs.`,
+        model: '',
+        temperature: null,
+        topP: null,
+        maxOutputTokens: null,
+    },
+    {
+        id: 'builtin-concise',
+        name: 'Concise code only',
+        systemPrompt: `${BASE_RULES} Answer with code only: a short "##" heading and a single Lua code block, without explanations before or after it. Put anything the user must know in brief comments inside the code. Only write prose if the question cannot be answered with code.`,
+        model: '',
+        temperature: 0.2,
+        topP: null,
+        maxOutputTokens: null,
+    },
+    {
+        id: 'builtin-teaching',
+        name: 'Teaching mode',
+        systemPrompt: `${BASE_RULES} The user is learning. Explain the underlying concepts step by step before showing code, comment every non-obvious line, and after the code explain each Perception.cx API function it uses and why. Point out common mistakes and end with a small exercise the user can try.`,
+        model: '',
+        temperature: 0.7,
+        topP: null,
+        maxOutputTokens: null,
+    },
+    {
+        id: 'builtin-debugging',
+        name: 'Debugging mode',
+        systemPrompt: `${BASE_RULES} The user is debugging a script. First state the most likely cause of the problem, quoting the lines involved. Then give the corrected code in full and list every change you made. If the cause is not clear from what was provided, say what to log or check next instead of guessing.`,
+        model: '',
+        temperature: 0.2,
+        topP: null,
+        maxOutputTokens: null,
+    },
+];
+
+export const isBuiltinProfile = (profile) => BUILTIN_PROFILES.some(builtin => builtin.id === profile.id);
+
+// Built-in profiles first, then custom ones by name
+export const listProfiles = (customProfiles) => [
+    ...BUILTIN_PROFILES,
+    ...[...customProfiles].sort((a, b) => a.name.localeCompare(b.name)),
+];
+
+// A session's profile; sessions without one, or whose profile was deleted, use the default
+export const findProfile = (profiles, profileId) => profiles.find(profile => profile.id === profileId)
+    || profiles.find(profile => profile.id === DEFAULT_PROFILE_ID);
+
+// A new custom profile with the prompt and parameters of `source`
+export const createProfile = (source, name = `${source.name} (copy)`) => ({ ...source, id: crypto.randomUUID(), name });
+
+// Why a profile cannot be saved, or null if it can
+export const validateProfile = (profile) => {
+    if (!profile.name.trim()) return "Give the profile a name.";
+    if (!profile.systemPrompt.trim()) return "The system prompt cannot be empty.";
+    for (const [name, { label, min, max, integer }] of Object.entries(GENERATION_LIMITS)) {
+        const value = profile[name];
+        if (value === null) continue;
+        if (Number.isNaN(value) || value < min || value > max || (integer && !Number.isInteger(value))) {
+            return `${label} must be ${integer ? 'a whole number' : 'a number'} from ${min} to ${max}.`;
+        }
+    }
+    return null;
+};
+
+// The request fields of /api/chat that come from the profile. `context` (the retrieved doc
+// sections) is appended to the system prompt.
+export const buildModelOptions = (profile, context = '') => {
+    const generationConfig = {};
+    for (const name of Object.keys(GENERATION_LIMITS)) {
+        if (profile[name] !== null && profile[name] !== undefined) generationConfig[name] = profile[name];
+    }
+    return {
+        systemInstruction: { parts: [{ text: context ? `${profile.systemPrompt}\n\n${context.trim()}` : profile.systemPrompt }] },
+        model: profile.model || undefined,
+        generationConfig: Object.keys(generationConfig).length > 0 ? generationConfig : undefined,
+    };
+};
@@ -0,0 +1,165 @@
+// Prompt templates: the starter cards on the empty chat screen. Each one asks for a few values in
+// a small form and turns them into a structured first message for a new chat.
+//
+// The four built-in templates ship with the app. Teams write their own as a JSON file
+// (format in docs/prompt-templates.md), share the file and import it; imported templates live in the
+// session store next to snippets and prompt profiles.
+//
+// Template: { id, title, description, profileId?, fields: [Field], prompt }
+// Field: { name, label, type: 'text' | 'textarea' | 'code', required?, placeholder? }
+//
+// `prompt` refers to fields as {{name}}. Text between {{#name}} and {{/name}} is only kept when
+// that field was filled in, for optional parts of the message.
+export const TEMPLATES_FORMAT = 'perception-ai-templates';
+export const TEMPLATES_VERSION = 1;
+
+const FIELD_TYPES = ['text', 'textarea', 'code'];
+const MAX_TEMPLATES = 100;
+const MAX_FIELDS = 10;
+const MAX_IMPORT_BYTES = 1024 * 1024;
+
+const SECTION_PATTERN = /\{\{#(\w+)\}\}([\s\S]*?)\{\{\/\1\}\}/g;
+const PLACEHOLDER_PATTERN = /\{\{(\w+)\}\}/g;
+
+export const BUILTIN_TEMPLATES = [
+    {
+        id: 'builtin-explain-lua',
+        title: 'Explain Lua 5.4',
+        description: 'Concepts, syntax, and best practices.',
+        profileId: 'builtin-teaching',
+        fields: [
+            { name: 'topic', label: 'What should be explained?', type: 'text', required: true, placeholder: 'e.g. metatables, coroutines, string patterns' },
+            { name: 'background', label: 'What do you already know? (optional)', type: 'textarea', placeholder: 'e.g. I know Python but I am new to Lua' },
+        ],
+        prompt: 'Explain {{topic}} in Lua 5.4: the concept, the syntax and the best practices, with a short example.{{#background}}\n\nMy background: {{background}}{{/background}}',
+    },
+    {
+        id: 'builtin-perception-api',
+        title: 'Perception.cx API',
+        description: 'How to use its functions and features.',
+        fields: [
+            { name: 'feature', label: 'Function or feature', type: 'text', required: true, placeholder: 'e.g. render.draw_text, fonts, input handling' },
+            { name: 'goal', label: 'What do you want to do with it? (optional)', type: 'textarea', placeholder: 'e.g. show the FPS in the top right corner' },
+        ],
+        prompt: 'How do I use {{feature}} from the Perception.cx API? Describe the functions involved, their parameters and return values, then show a practical example.{{#goal}}\n\nWhat I want to build: {{goal}}{{/goal}}',
+    },
+    {
+        id: 'builtin-simple-script',
+        title: 'Code a simple script',
+        description: 'For a specific task using Lua 5.4 and Perception.cx.',
+        fields: [
+            { name: 'task', label: 'What should the script do?', type: 'textarea', required: true, placeholder: 'e.g. draw a watermark with the current time' },
+            { name: 'requirements', label: 'Requirements (optional)', type: 'textarea', placeholder: 'e.g. configurable colour, no global variables' },
+        ],
+        prompt: 'Write a Lua 5.4 script for Perception.cx that does the following:\n\n{{task}}{{#requirements}}\n\nRequirements:\n{{requirements}}{{/requirements}}',
+    },
+    {
+        id: 'builtin-debug-snippet',
+        title: 'Debug a Lua snippet',
+        description: 'Find errors and suggest improvements.',
+        profileId: 'builtin-debugging',
+        fields: [
+            { name: 'code', label: 'Code', type: 'code', required: true, placeholder: 'Paste the Lua code here' },
+            { name: 'error', label: 'Error message or wrong behaviour', type: 'textarea', placeholder: 'e.g. attempt to index a nil value (field \'?\')' },
+        ],
+        prompt: 'Find the problem in this Lua snippet and suggest improvements.\n\n```lua\n{{code}}\n```{{#error}}\n\nWhat goes wrong:\n{{error}}{{/error}}',
+    },
+];
+
+export const isBuiltinTemplate = (template) => BUILTIN_TEMPLATES.some(builtin => builtin.id === template.id);
+
+// Built-in templates first, then the imported ones by title
+export const listTemplates = (customTemplates) => [
+    ...BUILTIN_TEMPLATES,
+    ...[...customTemplates].sort((a, b) => a.title.localeCompare(b.title)),
+];
+
+// Blank lines around a value are dropped, its indentation is kept (it may be code)
+const cleanValue = (value) => (value || '').replace(/^\s*\n/, '').trimEnd();
+
+// Names of required fields that are still empty
+export const missingFields = (template, values) => template.fields
+    .filter(field => field.required && !cleanValue(values[field.name]).trim())
+    .map(field => field.name);
+
+// The first message of the chat, built from the form values
+export const fillTemplate = (template, values) => template.prompt
+    .replace(SECTION_PATTERN, (match, name, section) => cleanValue(values[name]).trim() ? section : '')
+    .replace(PLACEHOLDER_PATTERN, (match, name) => cleanValue(values[name]))
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+
+export const exportTemplatesJson = (templates) => JSON.stringify({
+    format: TEMPLATES_FORMAT,
+    version: TEMPLATES_VERSION,
+    exportedAt: new Date().toISOString(),
+    templates: templates.map(({ id, title, description, profileId, fields, prompt }) => ({ id, title, description, profileId, fields, prompt })),
+}, null, 2);
+
+const importError = (message) => new Error(`Not a valid templates file: ${message}`);
+
+const optionalString = (value) => typeof value === 'string' && value.trim() ? value.trim() : undefined;
+
+const importField = (field, where) => {
+    if (typeof field?.name !== 'string' || !/^\w{1,40}$/.test(field.name)) throw importError(`${where} needs a "name" made of letters, digits and underscores.`);
+    if (field.type !== undefined && !FIELD_TYPES.includes(field.type)) throw importError(`${where} has an unknown "type" "${field.type}" (use ${FIELD_TYPES.join(', ')}).`);
+    // Firestore rejects undefined values, so optional keys are left out instead
+    const placeholder = optionalString(field.placeholder);
+    return {
+        name: field.name,
+        label: optionalString(field.label) || field.name,
+        type: field.type || 'textarea',
+        required: field.required === true,
+        ...(placeholder ? { placeholder } : {}),
+    };
+};
+
+const importTemplate = (template, position) => {
+    const where = `template ${position + 1}`;
+    if (typeof template?.id !== 'string' || !/^[\w-]{1,64}$/.test(template.id) || template.id.startsWith('builtin-')) {
+        throw importError(`${where} needs an "id" of up to 64 letters, digits, "-" or "_" that does not start with "builtin-".`);
+    }
+    if (!optionalString(template.title)) throw importError(`${where} has no "title".`);
+    if (typeof template.prompt !== 'string' || !template.prompt.trim()) throw importError(`${where} has no "prompt".`);
+    if (!Array.isArray(template.fields) || template.fields.length > MAX_FIELDS) throw importError(`${where} needs a "fields" array of at most ${MAX_FIELDS} fields.`);
+
+    const fields = template.fields.map((field, index) => importField(field, `field ${index + 1} of ${where}`));
+    const names = new Set(fields.map(field => field.name));
+    if (names.size !== fields.length) throw importError(`${where} uses a field name twice.`);
+    for (const [, name] of [...template.prompt.matchAll(PLACEHOLDER_PATTERN), ...template.prompt.matchAll(SECTION_PATTERN)]) {
+        if (!names.has(name)) throw importError(`the prompt of ${where} refers to {{${name}}}, which is not one of its fields.`);
+    }
+
+    const profileId = optionalString(template.profileId);
+    return {
+        id: template.id,
+        title: template.title.trim(),
+        description: optionalString(template.description) || '',
+        ...(profileId ? { profileId } : {}),
+        fields,
+        prompt: template.prompt,
+    };
+};
+
+// Parses a templates file into a list of templates. Throws an Error whose message can be shown to
+// the user when the file is not valid.
+export const parseTemplatesImport = (text) => {
+    if (text.length > MAX_IMPORT_BYTES) throw importError("the file is larger than 1 MB.");
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch {
+        throw importError("the file is not JSON.");
+    }
+    if (data?.format !== TEMPLATES_FORMAT) throw importError(`expected "format": "${TEMPLATES_FORMAT}".`);
+    if (!Number.isInteger(data.version) || data.version > TEMPLATES_VERSION) {
+        throw importError(`version ${data.version} is not supported, update the app to import it.`);
+    }
+    if (!Array.isArray(data.templates) || data.templates.length === 0 || data.templates.length > MAX_TEMPLATES) {
+        throw importError(`"templates" must be an array of 1 to ${MAX_TEMPLATES} templates.`);
+    }
+
+    const templates = data.templates.map(importTemplate);
+    if (new Set(templates.map(template => template.id)).size !== templates.length) throw importError("two templates have the same \"id\".");
+    return templates;
+};
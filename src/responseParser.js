@@ -0,0 +1,87 @@
+// Reads the proxy's responses (server/proxy.mjs): error bodies, the server-sent events of a streamed
+// reply, and what is left of a reply whose stream failed. Kept apart from the fetch calls in api.js
+// so they can be checked without a server.
+
+// The server's error message as an Error, with `status` and, for quota errors (HTTP 429),
+// `code` ('rate_limited' or 'quota_exceeded') and `retryAfter` in seconds
+export const readError = async (response) => {
+    let body = null;
+    try {
+        body = await response.json();
+    } catch {
+        // Not a JSON error body
+    }
+    const error = new Error(body?.error?.message || `HTTP error! status: ${response.status}`);
+    error.status = response.status;
+    error.code = body?.error?.code;
+    error.retryAfter = body?.error?.retryAfter;
+    return error;
+};
+
+export const isQuotaError = (error) => error?.status === 429;
+
+// Parses one raw server-sent event block into { event, data }
+export const parseSseEvent = (rawEvent) => {
+    let event = 'message';
+    const dataLines = [];
+    for (const line of rawEvent.split('\n')) {
+        if (line.startsWith('event:')) {
+            event = line.slice(6).trim();
+        } else if (line.startsWith('data:')) {
+            dataLines.push(line.slice(5).replace(/^ /, ''));
+        }
+    }
+    return { event, data: dataLines.join('\n') };
+};
+
+// Reads a streamed reply from a response body. `onText` receives the full text received so far
+// after every chunk and `onUsage({ promptTokens, completionTokens })` the usage once the reply is
+// complete. Resolves with the complete reply; rejects with the server's message when it reports an
+// error mid-stream.
+export const readChatStream = async (body, { onText, onUsage = () => {} }) => {
+    const reader = body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let text = '';
+
+    while (true) {
+        const { done, value } = await reader.read();
+        if (done) {
+            return text;
+        }
+
+        buffer = (buffer + decoder.decode(value, { stream: true })).replace(/\r\n/g, '\n');
+        let boundary;
+        while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+            const { event, data } = parseSseEvent(buffer.slice(0, boundary));
+            buffer = buffer.slice(boundary + 2);
+
+            if (event === 'error') {
+                throw new Error(JSON.parse(data).message);
+            } else if (event === 'done') {
+                const { usage } = JSON.parse(data);
+                if (usage) onUsage(usage);
+                return text;
+            }
+
+            text += JSON.parse(data).text;
+            onText(text);
+        }
+    }
+};
+
+export const ERROR_REPLY = "There was an error connecting to the AI. Please check the console.";
+export const REGENERATE_FAILED = "The reply could not be regenerated, so the previous one was kept. Please check the console.";
+
+// What becomes of a reply whose stream ended with `error` after `receivedText` had arrived:
+// { text, stopped?, notice?, keepReplaced? }. A stopped reply keeps its partial text. A reply that
+// regenerates an earlier one (`replacing`) and fails for any other reason keeps that earlier reply
+// instead (`keepReplaced`) and says why in the notice. Otherwise a quota error keeps nothing new
+// and explains itself in the notice, and any other failure keeps the partial text or says the AI
+// could not be reached. An empty `text` without `keepReplaced` means there is no reply to save.
+export const settleFailedReply = (error, { receivedText = '', aborted = false, replacing = false } = {}) => {
+    if (aborted) return { text: receivedText, stopped: true };
+    if (replacing) return { text: '', keepReplaced: true, notice: isQuotaError(error) ? error.message : REGENERATE_FAILED };
+    if (isQuotaError(error)) return { text: receivedText, notice: error.message };
+    return { text: receivedText || ERROR_REPLY };
+};
@@ -0,0 +1,139 @@
+// Offline BM25 search over documentation and example chunks. Everything runs in the browser,
+// so only the handful of chunks relevant to a question are sent to the model.
+
+const STOP_WORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'can', 'do', 'does', 'for', 'from', 'how', 'i',
+    'if', 'in', 'into', 'is', 'it', 'me', 'my', 'of', 'on', 'or', 'please', 'so', 'that', 'the', 'their',
+    'then', 'there', 'this', 'to', 'use', 'using', 'want', 'was', 'what', 'when', 'which', 'with', 'you', 'your',
+]);
+
+// Identifiers are indexed whole and by their parts, so "render.draw_line" also matches "draw" and "line"
+export const tokenize = (text) => {
+    const tokens = [];
+    for (const word of text.toLowerCase().match(/[a-z0-9_]+(?:[.:][a-z0-9_]+)*/g) || []) {
+        if (STOP_WORDS.has(word)) continue;
+        tokens.push(word);
+        const parts = word.split(/[.:_]/).filter(Boolean);
+        if (parts.length > 1) {
+            for (const part of parts) {
+                if (!STOP_WORDS.has(part)) tokens.push(part);
+            }
+            const member = word.split(/[.:]/).pop();
+            if (member !== word && member.includes('_')) tokens.push(member);
+        }
+    }
+    return tokens;
+};
+
+// Splits a Lua source file into chunks at top-level function definitions, merging tiny pieces
+// and cutting very long ones so every chunk is a readable, self-contained snippet
+export const chunkLuaSource = (fileName, source, { minLines = 12, maxLines = 80 } = {}) => {
+    const lines = source.split(/\r?\n/);
+    const pieces = [];
+    let start = 0;
+
+    for (let i = 1; i <= lines.length; i++) {
+        const startsFunction = i < lines.length && /^(local\s+)?function\s/.test(lines[i]);
+        if (i === lines.length || (startsFunction && i - start >= minLines) || i - start >= maxLines) {
+            pieces.push({ start, end: i });
+            start = i;
+        }
+    }
+
+    return pieces
+        .map(({ start, end }) => {
+            const text = lines.slice(start, end).join('\n').trim();
+            const functionName = lines.slice(start, end).map(line => line.match(/^(?:local\s+)?function\s+([\w.:]+)/)?.[1]).find(Boolean);
+            return {
+                id: `example:${fileName}:${start + 1}`,
+                kind: 'example',
+                title: `${fileName}${functionName ? ` · ${functionName}` : ''} (lines ${start + 1}-${end})`,
+                file: fileName,
+                text,
+            };
+        })
+        .filter(chunk => chunk.text);
+};
+
+export const createSearchIndex = (chunks, { k1 = 1.2, b = 0.75 } = {}) => {
+    const documents = chunks.map(chunk => {
+        const termFrequencies = new Map();
+        // Titles carry the function name, so they count double
+        const tokens = [...tokenize(chunk.title), ...tokenize(chunk.title), ...tokenize(chunk.text)];
+        for (const token of tokens) {
+            termFrequencies.set(token, (termFrequencies.get(token) || 0) + 1);
+        }
+        return { chunk, length: tokens.length, termFrequencies };
+    });
+
+    const documentFrequencies = new Map();
+    for (const document of documents) {
+        for (const term of document.termFrequencies.keys()) {
+            documentFrequencies.set(term, (documentFrequencies.get(term) || 0) + 1);
+        }
+    }
+
+    const averageLength = documents.reduce((sum, document) => sum + document.length, 0) / (documents.length || 1);
+    return { documents, documentFrequencies, averageLength, k1, b };
+};
+
+// Returns the best matching chunks as [{ chunk, score }], optionally limited to some chunk kinds
+// and to the chunks of some knowledge sources (a Set of source ids)
+export const searchIndex = (index, query, { limit = 5, kinds = null, sourceIds = null } = {}) => {
+    const queryTerms = [...new Set(tokenize(query))];
+    if (queryTerms.length === 0) return [];
+
+    const { documents, documentFrequencies, averageLength, k1, b } = index;
+    const results = [];
+
+    for (const document of documents) {
+        if (kinds && !kinds.includes(document.chunk.kind)) continue;
+        if (sourceIds && !sourceIds.has(document.chunk.sourceId)) continue;
+
+        let score = 0;
+        for (const term of queryTerms) {
+            const frequency = document.termFrequencies.get(term);
+            if (!frequency) continue;
+            const documentFrequency = documentFrequencies.get(term);
+            const idf = Math.log(1 + (documents.length - documentFrequency + 0.5) / (documentFrequency + 0.5));
+            score += idf * (frequency * (k1 + 1)) / (frequency + k1 * (1 - b + b * document.length / averageLength));
+        }
+        if (score > 0) {
+            results.push({ chunk: document.chunk, score });
+        }
+    }
+
+    return results.sort((x, y) => y.score - x.score).slice(0, limit);
+};
+
+// Picks documentation and example chunks for a question, staying within a character budget
+export const retrieveContext = (index, query, { docLimit = 6, exampleLimit = 3, maxChars = 24000, sourceIds = null } = {}) => {
+    const candidates = [
+        ...searchIndex(index, query, { limit: docLimit, kinds: ['function', 'topic'], sourceIds }),
+        ...searchIndex(index, query, { limit: exampleLimit, kinds: ['example'], sourceIds }),
+    ];
+
+    const selected = [];
+    let usedChars = 0;
+    for (const { chunk } of candidates) {
+        if (usedChars + chunk.text.length > maxChars) continue;
+        selected.push(chunk);
+        usedChars += chunk.text.length;
+    }
+    return selected;
+};
+
+// Formats retrieved chunks for the prompt
+export const formatContext = (chunks) => {
+    const docs = chunks.filter(chunk => chunk.kind !== 'example');
+    const examples = chunks.filter(chunk => chunk.kind === 'example');
+
+    let context = '';
+    if (docs.length > 0) {
+        context += `Relevant Perception.cx API Documentation:\n\n${docs.map(chunk => chunk.text).join('\n\n---\n\n')}\n\n`;
+    }
+    if (examples.length > 0) {
+        context += `Relevant Lua Code Examples for Learning:\n\n${examples.map(chunk => `-- From ${chunk.title}:\n${chunk.text}`).join('\n\n')}\n\n`;
+    }
+    return context || 'No documentation sections matched this question. Rely on Lua 5.4 and say so if a Perception.cx function is needed but unknown.\n\n';
+};
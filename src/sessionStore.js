@@ -0,0 +1,34 @@
+// Where a user's chats are kept, and the records saved in it. Signed in, they live under the user's
+// path in Firestore; in demo mode (no usable Firebase configuration, or signing in failed, see
+// firebaseApp.js) they stay in this browser. Both stores share one interface, described in
+// firestoreStore.js.
+import { createFirestoreStore } from './firestoreStore.js';
+import { createLocalStore } from './localStore.js';
+
+// Firestore path of everything a user owns, as allowed by firestore.rules
+export const userDataPath = (appId, userId) => `artifacts/${appId}/users/${userId}`;
+
+// The store for the app's current state, or null while there is none yet (no user signed in)
+export const openSessionStore = ({ isDemoMode, db, appId, userId }) => {
+    if (isDemoMode) return createLocalStore();
+    if (!db || !userId) return null;
+    return createFirestoreStore(db, userDataPath(appId, userId));
+};
+
+// Fields of a new, empty chat
+export const newSessionFields = ({ isDemoMode, profileId, now = new Date() }) => ({
+    title: isDemoMode ? `New Chat (Demo)` : `New Chat ${now.toLocaleDateString()}`,
+    profileId,
+    createdAt: now,
+    updatedAt: now
+});
+
+// A message the user sends. Files are only stored when there are any, as Firestore rejects
+// undefined values.
+export const createUserMessage = (text, attachments = []) => ({
+    id: crypto.randomUUID(),
+    sender: 'user',
+    text,
+    ...(attachments.length > 0 ? { attachments } : {}),
+    timestamp: new Date().toISOString()
+});
@@ -0,0 +1,53 @@
+// Helpers for the chat session list. New sessions start with a placeholder title and get a short
+// descriptive one after their first exchange, unless the user has renamed them.
+//
+// Session fields used here: `titleSource` ('default' or missing until titled, then 'auto' or 'user'),
+// `pinned`, `archived` and `updatedAt` (a Date, ISO string or Firestore Timestamp).
+
+const MAX_TITLE_LENGTH = 60;
+
+export const needsAutoTitle = (session) => !session || (session.titleSource || 'default') === 'default';
+
+export const buildTitlePrompt = (question, answer) => (
+    `Write a title of at most six words for a chat that starts with the exchange below. ` +
+    `Reply with the title only: no quotes, no markdown and no trailing punctuation.\n\n` +
+    `User: ${question.slice(0, 1500)}\n\nAssistant: ${answer.slice(0, 1500)}`
+);
+
+const truncate = (text) => {
+    if (text.length <= MAX_TITLE_LENGTH) return text;
+    const cut = text.slice(0, MAX_TITLE_LENGTH);
+    const lastSpace = cut.lastIndexOf(' ');
+    return `${(lastSpace > MAX_TITLE_LENGTH / 2 ? cut.slice(0, lastSpace) : cut).trim()}…`;
+};
+
+// Models like to wrap titles in quotes, headings or a "Title:" label
+export const cleanTitle = (text) => {
+    const line = (text || '').split('\n').map(part => part.trim()).find(Boolean) || '';
+    const title = line
+        .replace(/^#+\s*/, '')
+        .replace(/^title\s*:\s*/i, '')
+        .replace(/[*_`]/g, '')
+        .replace(/^["'“‘]+|["'”’]+$/g, '')
+        .replace(/[.:;,!\s]+$/, '')
+        .trim();
+    return truncate(title);
+};
+
+// Used when the model cannot be reached: the start of the first question
+export const fallbackTitle = (question) => {
+    const firstLine = question.replace(/```[\s\S]*?(?:```|$)/g, ' ').split('\n').map(part => part.trim()).find(Boolean) || '';
+    const title = cleanTitle(firstLine.split(/(?<=[.?!])\s/)[0]);
+    return title ? title.charAt(0).toUpperCase() + title.slice(1) : '';
+};
+
+export const toMillis = (value) => value?.toMillis ? value.toMillis() : new Date(value).getTime() || 0;
+
+// Pinned sessions first, then the most recently active; archived sessions are returned separately
+export const sortSessions = (sessions) => {
+    const sorted = [...sessions].sort((a, b) => Number(!!b.pinned) - Number(!!a.pinned) || toMillis(b.updatedAt) - toMillis(a.updatedAt));
+    return {
+        active: sorted.filter(session => !session.archived),
+        archived: sorted.filter(session => session.archived),
+    };
+};
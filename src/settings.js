@@ -0,0 +1,27 @@
+// User preferences, kept in localStorage so they survive reloads without an account
+import { DEFAULT_PROFILE_ID } from './promptProfiles.js';
+
+const STORAGE_KEY = 'perception-ai-settings';
+
+export const DEFAULT_SETTINGS = {
+    autoRepairLua: true, // Regenerate replies whose Lua fails validation
+    maxRepairAttempts: 3, // Total generations per reply, including the first one
+    defaultProfileId: DEFAULT_PROFILE_ID, // Prompt profile of new chats, chosen in the profiles panel
+};
+
+export const loadSettings = () => {
+    try {
+        return { ...DEFAULT_SETTINGS, ...JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}') };
+    } catch (error) {
+        console.error("Could not read settings:", error);
+        return { ...DEFAULT_SETTINGS };
+    }
+};
+
+export const saveSettings = (settings) => {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+    } catch (error) {
+        console.error("Could not save settings:", error);
+    }
+};
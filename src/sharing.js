@@ -0,0 +1,36 @@
+// Read-only links to a chat. Sharing publishes a snapshot of the chat, in the export format of
+// chatExport.js, to a public document that anyone with the link can read but nobody except its
+// owner can change (see firestore.rules). The chat itself stays private; the snapshot is only
+// refreshed when the owner updates the link, and revoking deletes it.
+//
+//   artifacts/{appId}/public/data/sharedChats/{shareId}
+import { doc, getDoc, setDoc, deleteDoc } from 'https://www.gstatic.com/firebasejs/11.6.1/firebase-firestore.js';
+import { createChatExport } from './chatExport.js';
+
+// Firestore documents are limited to 1 MiB
+const MAX_SHARE_BYTES = 900 * 1024;
+
+const sharedChatRef = (db, appId, shareId) => doc(db, `artifacts/${appId}/public/data/sharedChats`, shareId);
+
+// Publishes (or, given an existing shareId, refreshes) the snapshot and returns its id
+export const publishSharedChat = async (db, appId, ownerId, session, messages, shareId = crypto.randomUUID()) => {
+    const snapshot = { ...createChatExport(session, messages), ownerId, sharedAt: new Date() };
+    if (new Blob([JSON.stringify(snapshot)]).size > MAX_SHARE_BYTES) {
+        throw new Error("This chat is too long to share. Export it to a file instead.");
+    }
+    await setDoc(sharedChatRef(db, appId, shareId), snapshot);
+    return shareId;
+};
+
+export const revokeSharedChat = (db, appId, shareId) => deleteDoc(sharedChatRef(db, appId, shareId));
+
+// The published snapshot, or null once the link was revoked
+export const loadSharedChat = async (db, appId, shareId) => {
+    const snapshot = await getDoc(sharedChatRef(db, appId, shareId));
+    return snapshot.exists() ? snapshot.data() : null;
+};
+
+export const shareLink = (shareId) => `${location.origin}${location.pathname}?share=${encodeURIComponent(shareId)}`;
+
+// The share id of a link opened in this page, if any
+export const sharedChatIdFromUrl = () => new URLSearchParams(location.search).get('share');
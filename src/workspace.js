@@ -0,0 +1,75 @@
+// The workspace of a chat: a few named files the user edits next to the conversation. Code blocks
+// from replies can be applied to them, and their current content is sent along as context so the
+// model works on the actual files.
+//
+// Workspace file: { id, name, content, updatedAt }
+// Sessions have `workspaceContext: false` once the user stops sharing their files with the model.
+import { fileExtension } from './codeFiles.js';
+
+export const DEFAULT_FILE_NAME = 'main.lua';
+
+// Keeps the system instruction within a reasonable size; files past it are only named
+const MAX_CONTEXT_CHARS = 60000;
+
+export const fileLanguage = (name) => {
+    const extension = name.includes('.') ? name.split('.').pop().toLowerCase() : '';
+    return extension === 'txt' ? 'text' : extension;
+};
+
+// `name`, or `name` with a number added if a file of that name already exists
+export const uniqueFileName = (files, name) => {
+    const names = new Set(files.map(file => file.name));
+    const dot = name.lastIndexOf('.');
+    const [base, extension] = dot > 0 ? [name.slice(0, dot), name.slice(dot)] : [name, ''];
+    let unique = name;
+    for (let n = 2; names.has(unique); n++) unique = `${base}-${n}${extension}`;
+    return unique;
+};
+
+// Why a file cannot have this name, or null if it can
+export const validateFileName = (files, name, fileId = null) => {
+    if (!name.trim()) return "Give the file a name.";
+    if (/[\\/:*?"<>|]/.test(name)) return "File names cannot contain \\ / : * ? \" < > or |.";
+    if (name.length > 100) return "File names are limited to 100 characters.";
+    if (files.some(file => file.name === name && file.id !== fileId)) return `There already is a file called ${name}.`;
+    return null;
+};
+
+export const createWorkspaceFile = (files, name = DEFAULT_FILE_NAME, content = '') => ({
+    id: crypto.randomUUID(),
+    name: uniqueFileName(files, name),
+    content,
+    updatedAt: new Date(),
+});
+
+// Name for a new file made from a code block ({ name, title, language, code } from collectCodeFiles):
+// the block's heading if it is a file name, as in "## esp.lua", else the name derived from it
+export const codeFileName = (codeFile) => /^[\w-]+(\.[\w-]+)*\.\w+$/.test(codeFile.title || '') ? codeFile.title : codeFile.name;
+
+// The file a code block from a reply most likely belongs to: the one named in the block's heading
+// or file name, else the open file if it has the same language. Null means "create a new file".
+export const suggestTargetFile = (files, codeFile, activeFileId) => {
+    const named = files.find(file => file.name === codeFile.title || file.name === codeFile.name);
+    if (named) return named;
+    const active = files.find(file => file.id === activeFileId);
+    if (active && fileExtension(fileLanguage(active.name)) === fileExtension(codeFile.language)) return active;
+    return null;
+};
+
+// Workspace files for the system instruction. A file whose content the user just pasted into their
+// message is only named, so it is not sent twice.
+export const formatWorkspaceContext = (files, latestQuestion = '') => {
+    if (files.length === 0) return '';
+
+    let remaining = MAX_CONTEXT_CHARS;
+    const sections = files.map(file => {
+        const content = file.content.trimEnd();
+        if (content && latestQuestion.includes(content)) return `### ${file.name}\n(Its current content is quoted in the user's last message.)`;
+        if (content.length > remaining) return `### ${file.name}\n(Left out, the workspace is too large to include it.)`;
+        remaining -= content.length;
+        const language = fileLanguage(file.name);
+        return `### ${file.name}\n\`\`\`${language === 'text' ? '' : language}\n${content}\n\`\`\``;
+    });
+
+    return `The user's workspace (the editor next to this chat) contains these files. When you change a file, give its complete new content in one code block under a heading with the file's name (e.g. "## ${files[0].name}"), so it can be applied to the workspace.\n\n${sections.join('\n\n')}\n\n`;
+};
@@ -0,0 +1,116 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startMockModel } from './helpers/mockModel.mjs';
+import { streamChat, generateChat, isQuotaError } from '../src/api.js';
+import { settleFailedReply } from '../src/responseParser.js';
+
+const contents = [{ role: 'user', parts: [{ text: 'How do I draw a line?' }] }];
+
+let model;
+
+before(async () => {
+    model = await startMockModel({ QUOTA_TIERS: JSON.stringify({ guest: { requestsPerMinute: 1000 } }) });
+    globalThis.__api_base_url = model.url;
+});
+
+after(() => model.close());
+
+beforeEach((t) => {
+    model.requests.length = 0;
+    // The proxy logs the failures these tests cause on purpose
+    t.mock.method(console, 'error', () => {});
+});
+
+test('streams a reply through the proxy and reports its usage', async () => {
+    model.reply({ chunks: ['Use ', 'render.draw_line'], usage: { promptTokens: 12, completionTokens: 4 } });
+    const texts = [];
+    let usage = null;
+    const reply = await streamChat({
+        contents,
+        systemInstruction: { parts: [{ text: 'You are a Lua expert.' }] },
+        generationConfig: { temperature: 0.2 },
+        onText: text => texts.push(text),
+        onUsage: value => { usage = value; },
+    });
+
+    assert.equal(reply, 'Use render.draw_line');
+    assert.deepEqual(texts, ['Use ', 'Use render.draw_line']);
+    assert.deepEqual(usage, { promptTokens: 12, completionTokens: 4 });
+
+    const [request] = model.requests;
+    assert.equal(request.model, 'mock-model');
+    assert.equal(request.temperature, 0.2);
+    assert.deepEqual(request.messages, [
+        { role: 'system', content: 'You are a Lua expert.' },
+        { role: 'user', content: 'How do I draw a line?' },
+    ]);
+});
+
+test('generates a complete reply for hidden requests', async () => {
+    model.reply({ chunks: ['Drawing ', 'lines'] });
+    assert.equal(await generateChat({ contents }), 'Drawing lines');
+});
+
+test('a failing model endpoint rejects the stream with its error', async () => {
+    model.reply({ status: 500 });
+    await assert.rejects(streamChat({ contents, onText: () => {} }), /OpenAI-compatible API error 500/);
+});
+
+test('a failing model endpoint answers hidden requests with a bad gateway', async () => {
+    model.reply({ status: 503 });
+    await assert.rejects(generateChat({ contents }), { status: 502 });
+});
+
+test('a reply cut off mid-stream keeps the text that arrived', async () => {
+    model.reply({ chunks: ['Use render'], cut: true });
+    let receivedText = '';
+    const error = await streamChat({ contents, onText: text => { receivedText = text; } }).catch(value => value);
+
+    assert.ok(error instanceof Error);
+    assert.deepEqual(settleFailedReply(error, { receivedText }), { text: 'Use render' });
+});
+
+test('stopping a reply keeps its partial text', async () => {
+    model.reply({ chunks: ['Use '], hold: true });
+    const abortController = new AbortController();
+    let receivedText = '';
+    const error = await streamChat({
+        contents,
+        signal: abortController.signal,
+        onText: (text) => {
+            receivedText = text;
+            abortController.abort();
+        },
+    }).catch(value => value);
+
+    assert.equal(error.name, 'AbortError');
+    assert.deepEqual(settleFailedReply(error, { receivedText, aborted: abortController.signal.aborted }), { text: 'Use ', stopped: true });
+});
+
+test('an invalid request is refused before it reaches the model', async () => {
+    await assert.rejects(streamChat({ contents, model: 'unknown-model', onText: () => {} }), {
+        status: 400,
+        message: 'Model "unknown-model" is not available. Choose one of: mock-model.',
+    });
+    assert.equal(model.requests.length, 0);
+});
+
+test('a request over the quota is refused with a notice instead of a reply', async () => {
+    const limited = await startMockModel({ QUOTA_TIERS: JSON.stringify({ guest: { requestsPerMinute: 1 } }) });
+    globalThis.__api_base_url = limited.url;
+    try {
+        await streamChat({ contents, onText: () => {} });
+        const error = await streamChat({ contents, onText: () => {} }).catch(value => value);
+
+        assert.ok(isQuotaError(error));
+        assert.equal(error.code, 'rate_limited');
+        assert.ok(error.retryAfter > 0);
+        assert.deepEqual(settleFailedReply(error), { text: '', notice: error.message });
+        // Regenerating a reply over the quota must not lose the reply it was meant to replace
+        assert.deepEqual(settleFailedReply(error, { replacing: true }), { text: '', keepReplaced: true, notice: error.message });
+        assert.equal(limited.requests.length, 1);
+    } finally {
+        globalThis.__api_base_url = model.url;
+        await limited.close();
+    }
+});
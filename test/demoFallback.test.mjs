@@ -0,0 +1,89 @@
+// The app falls back to demo mode, with chats kept in this browser, when Firebase is not configured
+// or signing in fails. Signing in is pointed at a local Auth endpoint that refuses every request.
+import { describe, test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { deleteApp } from 'firebase/app';
+import { readFirebaseConfig, startFirebase, watchAuth } from '../src/firebaseApp.js';
+import { openSessionStore, newSessionFields } from '../src/sessionStore.js';
+
+// Resolves with what `watchAuth` reports for its first user change: { user, signInFailed }
+const firstAuthChange = (auth, options = {}) => new Promise((resolve) => {
+    let user;
+    const unsubscribe = watchAuth(auth, {
+        ...options,
+        onUser: (value) => { user = value; },
+        onSettled: (signInFailed) => {
+            unsubscribe();
+            resolve({ user, signInFailed });
+        },
+    });
+});
+
+test('a missing configuration means demo mode', () => {
+    assert.deepEqual(readFirebaseConfig(undefined), { demoReason: "Firebase configuration is missing." });
+    assert.deepEqual(readFirebaseConfig(''), { demoReason: "Firebase configuration is missing." });
+});
+
+test('a configuration that cannot be used means demo mode', () => {
+    assert.deepEqual(readFirebaseConfig('{"apiKey":'), { demoReason: "Firebase configuration is not valid JSON." });
+    assert.deepEqual(readFirebaseConfig('{"apiKey":"key"}'), { demoReason: "Firebase configuration is invalid: 'projectId' is missing." });
+    assert.deepEqual(readFirebaseConfig('null'), { demoReason: "Firebase configuration is invalid: 'projectId' is missing." });
+});
+
+test('a configuration with a project is used', () => {
+    assert.deepEqual(readFirebaseConfig('{"apiKey":"key","projectId":"demo-x"}'), { config: { apiKey: 'key', projectId: 'demo-x' } });
+});
+
+test('in demo mode chats are created in the local store', async () => {
+    const { demoReason } = readFirebaseConfig(undefined);
+    const store = openSessionStore({ isDemoMode: Boolean(demoReason) });
+    const sessionId = await store.createSession(newSessionFields({ isDemoMode: true, profileId: null }));
+
+    assert.equal((await store.loadSessions()).find(session => session.id === sessionId).title, 'New Chat (Demo)');
+});
+
+describe('when signing in fails', () => {
+    let authServer;
+    let auth;
+    const authRequests = [];
+
+    before(async () => {
+        authServer = http.createServer((req, res) => {
+            authRequests.push(new URL(req.url, 'http://localhost').pathname);
+            res.writeHead(400, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: { code: 400, message: 'OPERATION_NOT_ALLOWED' } }));
+        });
+        await new Promise(resolve => authServer.listen(0, '127.0.0.1', resolve));
+        ({ auth } = startFirebase(
+            { apiKey: 'demo-api-key', projectId: 'demo-perception-ai', appId: 'demo-app' },
+            { auth: `http://127.0.0.1:${authServer.address().port}` },
+        ));
+    });
+
+    after(async () => {
+        await deleteApp(auth.app);
+        await new Promise(resolve => authServer.close(resolve));
+    });
+
+    beforeEach((t) => {
+        authRequests.length = 0;
+        t.mock.method(console, 'error', () => {});
+    });
+
+    test('a guest who cannot sign in anonymously falls back to demo mode', async () => {
+        const { user, signInFailed } = await firstAuthChange(auth);
+
+        assert.equal(user, null);
+        assert.equal(signInFailed, true);
+        assert.ok(authRequests.some(path => path.endsWith('/accounts:signUp')));
+        assert.equal(console.error.mock.calls[0].arguments[0], "Firebase Auth Error:");
+    });
+
+    test('a rejected custom token falls back to demo mode', async () => {
+        const { signInFailed } = await firstAuthChange(auth, { initialAuthToken: 'expired-token' });
+
+        assert.equal(signInFailed, true);
+        assert.ok(authRequests.some(path => path.endsWith('/accounts:signInWithCustomToken')));
+    });
+});
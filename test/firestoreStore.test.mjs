@@ -0,0 +1,65 @@
+// The Firestore store against the emulators, signed in as an anonymous guest like a first visit.
+// firestore.rules apply, so each user can only reach their own chats.
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { deleteApp } from 'firebase/app';
+import { startFirebase, watchAuth } from '../src/firebaseApp.js';
+import { openSessionStore, newSessionFields, createUserMessage } from '../src/sessionStore.js';
+import { testSessionStore } from './helpers/storeContract.mjs';
+import { emulatorSkipReason, emulatorConfig, emulatorSettings } from './helpers/emulators.mjs';
+
+const appId = 'test-app';
+
+// A skipped suite is not counted in the summary, so say it where `npm test` shows it
+if (emulatorSkipReason) {
+    console.warn("skipped: emulators not running, so the Firestore store was not tested. Run `npm run test:emulators` to test it.");
+}
+
+describe('Firestore session store', { skip: emulatorSkipReason }, () => {
+    let db;
+    let auth;
+    let userId;
+
+    before(async () => {
+        ({ db, auth } = startFirebase(emulatorConfig, emulatorSettings()));
+        // The first change has no user; watchAuth then signs in and reports the guest
+        userId = await new Promise((resolve, reject) => {
+            const unsubscribe = watchAuth(auth, {
+                onUser: (user) => {
+                    if (!user) return;
+                    unsubscribe();
+                    resolve(user.uid);
+                },
+                onSettled: (signInFailed) => {
+                    if (signInFailed) reject(new Error("Could not sign in to the Auth emulator"));
+                },
+            });
+        });
+    });
+
+    after(() => deleteApp(auth.app));
+
+    testSessionStore(() => openSessionStore({ isDemoMode: false, db, appId, userId }));
+
+    test('a signed-in guest does not run in demo mode', () => {
+        assert.ok(auth.currentUser.isAnonymous);
+        assert.equal(auth.currentUser.uid, userId);
+    });
+
+    test('saving a message to a deleted chat fails', async () => {
+        const store = openSessionStore({ isDemoMode: false, db, appId, userId });
+        const sessionId = await store.createSession(newSessionFields({ isDemoMode: false, profileId: null }));
+        await store.deleteSession(sessionId);
+
+        await assert.rejects(store.saveMessage(sessionId, createUserMessage('Too late')), { code: 'not-found' });
+        assert.deepEqual(await store.loadMessages(sessionId), []);
+    });
+
+    test("another user's chats cannot be read or written", async () => {
+        const store = openSessionStore({ isDemoMode: false, db, appId, userId: 'someone-else' });
+
+        await assert.rejects(store.createSession(newSessionFields({ isDemoMode: false, profileId: null })), { code: 'permission-denied' });
+        await assert.rejects(store.loadSessions(), { code: 'permission-denied' });
+        await assert.rejects(store.saveMessage('their-chat', createUserMessage('Hi')), { code: 'permission-denied' });
+    });
+});
@@ -0,0 +1,16 @@
+// The Firebase emulators, when the tests run under `npm run test:emulators`: `firebase emulators:exec`
+// starts them with firestore.rules and sets these variables. Tests that need them are skipped otherwise.
+const { FIRESTORE_EMULATOR_HOST, FIREBASE_AUTH_EMULATOR_HOST, GCLOUD_PROJECT } = process.env;
+
+export const emulatorSkipReason = FIRESTORE_EMULATOR_HOST && FIREBASE_AUTH_EMULATOR_HOST
+    ? false
+    : "emulators not running, run `npm run test:emulators`";
+
+// The emulators accept any API key; project ids starting with "demo-" need no real project
+export const emulatorConfig = { apiKey: 'demo-api-key', projectId: GCLOUD_PROJECT || 'demo-perception-ai', appId: 'demo-app' };
+
+// The page's `__firebase_emulators` setting (see index.html) for the running emulators
+export const emulatorSettings = () => {
+    const [host, port] = FIRESTORE_EMULATOR_HOST.split(':');
+    return { auth: `http://${FIREBASE_AUTH_EMULATOR_HOST}`, firestore: { host, port: Number(port) } };
+};
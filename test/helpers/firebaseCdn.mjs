@@ -0,0 +1,9 @@
+// Module hook: the app imports the Firebase SDK from its CDN URLs, which Node cannot load. Tests
+// get the same version from the `firebase` npm package instead (see package.json).
+const FIREBASE_CDN_URL = /^https:\/\/www\.gstatic\.com\/firebasejs\/[\d.]+\/firebase-([\w-]+)\.js$/;
+
+export const resolve = (specifier, context, nextResolve) => {
+    const match = specifier.match(FIREBASE_CDN_URL);
+    if (!match) return nextResolve(specifier, context);
+    return nextResolve(`firebase/${match[1]}`, { ...context, parentURL: import.meta.url });
+};
@@ -0,0 +1,79 @@
+// A mock model endpoint behind the real proxy (server/proxy.mjs). The proxy runs with the openai
+// provider pointed at a scripted `/chat/completions` endpoint, so the app's client is tested
+// against the same HTTP errors and server-sent events it gets in production.
+//
+// Every model request takes the next scripted reply:
+//   { chunks: ['Hel', 'lo'], usage? }   streamed chunk by chunk (joined when not streamed)
+//   { status: 500, body? }              the endpoint answers with an error
+//   { chunks, cut: true }               the connection drops after the chunks
+//   { chunks, hold: true }              the reply stops after the chunks but never ends
+// Without a scripted reply the endpoint answers "Mock reply".
+import http from 'node:http';
+import { createServer } from '../../server/proxy.mjs';
+import { loadConfig } from '../../server/config.mjs';
+
+const listen = (server) => new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`));
+});
+
+const close = (server) => new Promise((resolve) => {
+    server.closeAllConnections();
+    server.close(() => resolve());
+});
+
+const readBody = async (req) => {
+    const chunks = [];
+    for await (const chunk of req) chunks.push(chunk);
+    return JSON.parse(Buffer.concat(chunks).toString('utf8'));
+};
+
+const toUsage = (usage) => usage && { prompt_tokens: usage.promptTokens, completion_tokens: usage.completionTokens };
+
+const writeChunk = (res, data) => res.write(`data: ${JSON.stringify(data)}\n\n`);
+
+const answer = (res, body, reply) => {
+    if (reply.status) {
+        res.writeHead(reply.status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(reply.body ?? { error: { message: "Mock model failure" } }));
+        return;
+    }
+    if (!body.stream) {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ choices: [{ message: { content: reply.chunks.join('') } }], usage: toUsage(reply.usage) }));
+        return;
+    }
+
+    res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+    for (const content of reply.chunks) writeChunk(res, { choices: [{ delta: { content } }] });
+    if (reply.cut) {
+        // Dropped once the chunks are sent, so the proxy forwards them before it sees the failure
+        res.write('', () => setTimeout(() => res.destroy(), 20));
+    } else if (!reply.hold) {
+        if (reply.usage) writeChunk(res, { choices: [], usage: toUsage(reply.usage) });
+        res.end('data: [DONE]\n\n');
+    }
+};
+
+// Starts the endpoint and a proxy in front of it. `env` adds proxy settings (see server/config.mjs),
+// e.g. QUOTA_TIERS. Returns { url, requests, reply(...replies), close() }, where `url` is the proxy's
+// base URL and `requests` the bodies the model received.
+export const startMockModel = async (env = {}) => {
+    const replies = [];
+    const requests = [];
+    const model = http.createServer(async (req, res) => {
+        const body = await readBody(req);
+        requests.push(body);
+        answer(res, body, replies.shift() || { chunks: ['Mock reply'] });
+    });
+    const modelUrl = await listen(model);
+
+    const proxy = createServer(loadConfig({ MODEL_PROVIDER: 'openai', OPENAI_BASE_URL: modelUrl, OPENAI_MODEL: 'mock-model', USAGE_FILE: '', ...env }));
+    const url = await listen(proxy);
+
+    return {
+        url,
+        requests,
+        reply: (...next) => replies.push(...next),
+        close: () => Promise.all([close(proxy), close(model)]),
+    };
+};
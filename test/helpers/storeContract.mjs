@@ -0,0 +1,111 @@
+// The behaviour both session stores share (interface in src/firestoreStore.js), run against each of
+// them: the IndexedDB store by sessionStore.test.mjs, the Firestore one by firestoreStore.test.mjs.
+// `openStore()` returns the store to test.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { newSessionFields, createUserMessage } from '../../src/sessionStore.js';
+import { toMillis } from '../../src/sessions.js';
+
+// Resolves with the first value a subscription reports that `matches`
+export const nextMatching = (subscribe, matches) => new Promise((resolve, reject) => {
+    let unsubscribe = null;
+    let found = null;
+    const check = (value) => {
+        if (found || !matches(value)) return;
+        found = { value };
+        unsubscribe?.();
+        resolve(value);
+    };
+    unsubscribe = subscribe(check, reject);
+    if (found) unsubscribe();
+});
+
+const aiMessage = (text, timestamp) => ({ id: crypto.randomUUID(), sender: 'ai', text, timestamp });
+
+export const testSessionStore = (openStore) => {
+    test('creates a chat and lists it', async () => {
+        const store = openStore();
+        const sessionId = await store.createSession(newSessionFields({ isDemoMode: false, profileId: 'builtin-default' }));
+
+        const sessions = await nextMatching(store.subscribeSessions, list => list.some(session => session.id === sessionId));
+        const session = sessions.find(s => s.id === sessionId);
+        assert.match(session.title, /^New Chat /);
+        assert.equal(session.profileId, 'builtin-default');
+        assert.ok((await store.loadSessions()).some(s => s.id === sessionId));
+    });
+
+    test('saves messages in order and bumps the chat', async () => {
+        const store = openStore();
+        const createdAt = new Date(Date.now() - 60000);
+        const sessionId = await store.createSession({ ...newSessionFields({ isDemoMode: false, profileId: null }), createdAt, updatedAt: createdAt });
+
+        const question = createUserMessage('How do I draw a line?');
+        await store.saveMessage(sessionId, question);
+        await store.saveMessage(sessionId, aiMessage('Use render.draw_line.', new Date(Date.parse(question.timestamp) + 1).toISOString()));
+        // An earlier timestamp still sorts first
+        await store.saveMessage(sessionId, aiMessage('Welcome!', new Date(Date.parse(question.timestamp) - 1).toISOString()));
+
+        assert.deepEqual((await store.loadMessages(sessionId)).map(m => m.text), ['Welcome!', 'How do I draw a line?', 'Use render.draw_line.']);
+        const session = (await store.loadSessions()).find(s => s.id === sessionId);
+        assert.ok(toMillis(session.updatedAt) > createdAt.getTime());
+    });
+
+    test('keeps attachments with their message and leaves them out when there are none', async () => {
+        const store = openStore();
+        const sessionId = await store.createSession(newSessionFields({ isDemoMode: false, profileId: null }));
+        const attachment = { id: 'a1', name: 'esp.lua', language: 'lua', size: 9, content: 'print(1)\n' };
+        await store.saveMessage(sessionId, createUserMessage('', [attachment]));
+        await store.saveMessage(sessionId, createUserMessage('No files'));
+
+        const [withFile, withoutFile] = await store.loadMessages(sessionId);
+        assert.deepEqual(withFile.attachments, [attachment]);
+        assert.ok(!('attachments' in withoutFile));
+    });
+
+    test('a regenerated reply replaces the message with its id', async () => {
+        const store = openStore();
+        const sessionId = await store.createSession(newSessionFields({ isDemoMode: false, profileId: null }));
+        const reply = aiMessage('First try', new Date().toISOString());
+        await store.saveMessage(sessionId, reply);
+        await store.saveMessage(sessionId, { ...reply, text: 'Second try' });
+
+        assert.deepEqual((await store.loadMessages(sessionId)).map(m => m.text), ['Second try']);
+    });
+
+    test('the message feed follows saves and deletes', async () => {
+        const store = openStore();
+        const sessionId = await store.createSession(newSessionFields({ isDemoMode: false, profileId: null }));
+        const question = createUserMessage('Hello');
+        await store.saveMessage(sessionId, question);
+
+        const subscribeFeed = (onChange, onError) => store.openMessageFeed(sessionId, { onChange, onError }).close;
+        const feed = await nextMatching(subscribeFeed, ({ messages }) => messages.length === 1);
+        assert.equal(feed.messages[0].text, 'Hello');
+        assert.equal(feed.hasOlder, false);
+
+        const emptied = nextMatching(subscribeFeed, ({ messages }) => messages.length === 0);
+        await store.deleteMessage(sessionId, question.id);
+        await emptied;
+    });
+
+    test('renaming a chat leaves its activity time alone', async () => {
+        const store = openStore();
+        const updatedAt = new Date(Date.now() - 60000);
+        const sessionId = await store.createSession({ ...newSessionFields({ isDemoMode: false, profileId: null }), updatedAt });
+        await store.updateSession(sessionId, { title: 'Renamed', titleSource: 'user' });
+
+        const session = (await store.loadSessions()).find(s => s.id === sessionId);
+        assert.equal(session.title, 'Renamed');
+        assert.equal(toMillis(session.updatedAt), updatedAt.getTime());
+    });
+
+    test('deleting a chat deletes its messages', async () => {
+        const store = openStore();
+        const sessionId = await store.createSession(newSessionFields({ isDemoMode: false, profileId: null }));
+        await store.saveMessage(sessionId, createUserMessage('Bye'));
+        await store.deleteSession(sessionId);
+
+        assert.ok(!(await store.loadSessions()).some(s => s.id === sessionId));
+        assert.deepEqual(await store.loadMessages(sessionId), []);
+    });
+};
@@ -0,0 +1,47 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createIdentityResolver } from '../server/identity.mjs';
+
+const projectId = 'demo-perception-ai';
+
+// An unsigned token like the Auth emulator issues
+const emulatorToken = (claims) => {
+    const segment = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+    const now = Math.floor(Date.now() / 1000);
+    return `${segment({ alg: 'none' })}.${segment({ aud: projectId, iss: `https://securetoken.google.com/${projectId}`, iat: now, exp: now + 3600, ...claims })}.`;
+};
+
+const request = (token, remoteAddress = '203.0.113.7') => ({
+    headers: token ? { authorization: `Bearer ${token}` } : {},
+    socket: { remoteAddress },
+});
+
+const resolveIdentity = createIdentityResolver({ projectId, authEmulatorHost: '127.0.0.1:9099', trustProxy: false });
+
+test('signed-in users are counted by account', async () => {
+    const identity = await resolveIdentity(request(emulatorToken({ sub: 'u1', firebase: { sign_in_provider: 'password' } })));
+    assert.deepEqual(identity, { userId: 'uid:u1', tier: 'free' });
+});
+
+test('anonymous users share the guest quota of their address', async () => {
+    const first = await resolveIdentity(request(emulatorToken({ sub: 'guest-1', firebase: { sign_in_provider: 'anonymous' } })));
+    const next = await resolveIdentity(request(emulatorToken({ sub: 'guest-2', firebase: { sign_in_provider: 'anonymous' } })));
+
+    assert.deepEqual(first, { userId: 'ip:203.0.113.7', tier: 'guest' });
+    assert.deepEqual(next, first);
+    assert.deepEqual(await resolveIdentity(request(null)), first);
+});
+
+test('an anonymous user given a tier keeps their account', async () => {
+    const identity = await resolveIdentity(request(emulatorToken({ sub: 'tester', tier: 'pro', firebase: { sign_in_provider: 'anonymous' } })));
+    assert.deepEqual(identity, { userId: 'uid:tester', tier: 'pro' });
+});
+
+test('unsigned emulator tokens are refused for a real project outside development', () => {
+    assert.throws(
+        () => createIdentityResolver({ projectId: 'perception-prod', authEmulatorHost: '127.0.0.1:9099', trustProxy: false }),
+        /FIREBASE_AUTH_EMULATOR_HOST makes the server accept unsigned ID tokens/,
+    );
+    assert.doesNotThrow(() => createIdentityResolver({ projectId: 'perception-prod', authEmulatorHost: '127.0.0.1:9099', trustProxy: false, development: true }));
+    assert.doesNotThrow(() => createIdentityResolver({ projectId: 'perception-prod', authEmulatorHost: '', trustProxy: false }));
+});
@@ -0,0 +1,27 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { parseApiReference } from '../src/apiReference.js';
+import { createApiSignatures, validateFence } from '../src/luaValidator.js';
+import { findRepairableProblems } from '../src/luaRepair.js';
+
+const signatures = createApiSignatures(parseApiReference(await readFile(new URL('../Perception.txt', import.meta.url), 'utf8')));
+
+const reply = (fence, code) => `Run this:\n\n\`\`\`${fence}\n${code}\n\`\`\`\n`;
+
+test('a lua block that does not parse is repaired', () => {
+    const problems = findRepairableProblems(reply('lua', 'local x = = 1'), signatures);
+    assert.deepEqual(problems.map(problem => problem.diagnostic.kind), ['syntax']);
+});
+
+test('an untagged shell block asks for no repair', () => {
+    assert.deepEqual(findRepairableProblems(reply('', '$ npm install'), signatures), []);
+    assert.deepEqual(findRepairableProblems(reply('', 'render.draw_nope(1)'), signatures), []);
+});
+
+test('untagged blocks only get API warnings, and only when they parse as Lua', () => {
+    assert.deepEqual(validateFence('$ npm install', '', signatures), []);
+    assert.deepEqual(validateFence('render.draw_nope(1)', '', signatures).map(diagnostic => [diagnostic.severity, diagnostic.kind]), [['warning', 'unknown-function']]);
+    assert.equal(validateFence('$ npm install', 'lua', signatures)[0].kind, 'syntax');
+    assert.deepEqual(validateFence('$ npm install', 'bash', signatures), []);
+});
@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildChatRequest, buildTitleRequest } from '../src/promptBuilder.js';
+import { createSearchIndex } from '../src/retrieval.js';
+
+const profile = { id: 'p1', name: 'Test', systemPrompt: 'You write Perception.cx Lua.', model: 'mock-model', temperature: 0.3, topP: null, maxOutputTokens: undefined };
+
+const knowledgeSources = [
+    { id: 'api', kind: 'docs', enabled: true },
+    { id: 'example-rust', kind: 'example', enabled: true },
+];
+
+const docIndex = createSearchIndex([
+    { id: 'render.draw_line', title: 'render.draw_line', kind: 'function', text: 'render.draw_line(x1, y1, x2, y2) draws a line.', sourceId: 'api' },
+    { id: 'rust-esp', title: 'rust.lua', kind: 'example', text: 'render.draw_line(0, 0, 10, 10) -- draw line for esp', sourceId: 'example-rust' },
+]);
+
+const history = [
+    { id: 'm1', sender: 'user', text: 'How do I draw a line?', timestamp: '2026-01-01T00:00:00.000Z' },
+];
+
+const systemText = (request) => request.systemInstruction.parts[0].text;
+
+test('sends the conversation with the profile and the matching docs and examples', () => {
+    const { request, sources } = buildChatRequest({ history, session: { id: 's1' }, profile, docIndex, knowledgeSources });
+
+    assert.deepEqual(request.contents, [{ role: 'user', parts: [{ text: 'How do I draw a line?' }] }]);
+    assert.equal(request.model, 'mock-model');
+    assert.deepEqual(request.generationConfig, { temperature: 0.3 });
+    assert.ok(systemText(request).startsWith('You write Perception.cx Lua.\n\n'));
+    assert.match(systemText(request), /render\.draw_line\(x1, y1, x2, y2\)/);
+    assert.match(systemText(request), /-- From rust\.lua:/);
+    assert.deepEqual(sources, [
+        { id: 'render.draw_line', title: 'render.draw_line', kind: 'function' },
+        { id: 'rust-esp', title: 'rust.lua', kind: 'example' },
+    ]);
+});
+
+test('leaves out the knowledge sources the chat turned off', () => {
+    const session = { id: 's1', knowledgeSources: { 'example-rust': false } };
+    const { request, sources } = buildChatRequest({ history, session, profile, docIndex, knowledgeSources });
+
+    assert.deepEqual(sources.map(source => source.id), ['render.draw_line']);
+    assert.doesNotMatch(systemText(request), /rust\.lua/);
+});
+
+test('says so when no documentation matches', () => {
+    const { request, sources } = buildChatRequest({ history, session: null, profile, docIndex: createSearchIndex([]), knowledgeSources });
+    assert.deepEqual(sources, []);
+    assert.match(systemText(request), /No documentation sections matched this question/);
+});
+
+test('sends attached files after the text of their message', () => {
+    const withAttachment = [{ ...history[0], text: '', attachments: [{ id: 'a1', name: 'esp.lua', language: 'lua', size: 9, content: 'print(1)\n' }] }];
+    const { request } = buildChatRequest({ history: withAttachment, session: null, profile, docIndex, knowledgeSources });
+
+    assert.deepEqual(request.contents, [{ role: 'user', parts: [{ text: 'Attached file "esp.lua":\n```lua\nprint(1)\n```' }] }]);
+});
+
+test('includes the workspace files unless the chat stopped sharing them', () => {
+    const workspaceFiles = [{ id: 'f1', name: 'main.lua', content: 'local x = 1\n' }];
+
+    const shared = buildChatRequest({ history, session: { id: 's1' }, profile, docIndex, knowledgeSources, workspaceFiles });
+    assert.match(systemText(shared.request), /### main\.lua\n```lua\nlocal x = 1\n```/);
+    assert.deepEqual(shared.sources[0], { id: 'workspace-f1', title: 'main.lua', kind: 'workspace' });
+
+    const unshared = buildChatRequest({ history, session: { id: 's1', workspaceContext: false }, profile, docIndex, knowledgeSources, workspaceFiles });
+    assert.doesNotMatch(systemText(unshared.request), /main\.lua/);
+    assert.ok(unshared.sources.every(source => source.kind !== 'workspace'));
+});
+
+test('asks for a title from the first exchange, naming attachments of an empty question', () => {
+    const answer = { sender: 'ai', text: 'Here is an ESP.' };
+    const { questionText, request } = buildTitleRequest([{ sender: 'user', text: '', attachments: [{ name: 'esp.lua' }, { name: 'log.txt' }] }, answer]);
+
+    assert.equal(questionText, 'esp.lua, log.txt');
+    assert.match(request.contents[0].parts[0].text, /User: esp\.lua, log\.txt\n\nAssistant: Here is an ESP\.$/);
+});
@@ -0,0 +1,31 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startMockModel } from './helpers/mockModel.mjs';
+
+let model;
+
+before(async () => {
+    model = await startMockModel();
+});
+
+after(() => model.close());
+
+const statusOf = async (path) => (await fetch(`${model.url}${path}`)).status;
+
+test('serves the app and its knowledge files', async () => {
+    for (const path of ['/', '/index.html', '/chatbot.js', '/src/api.js', '/src/components/CodeBlock.js', '/knowledge.json', '/Perception.txt', '/Examples/rust.lua']) {
+        assert.equal(await statusOf(path), 200, path);
+    }
+    const response = await fetch(`${model.url}/src/api.js`);
+    assert.match(response.headers.get('content-type'), /^text\/javascript/);
+});
+
+test('never serves the rest of the folder', async () => {
+    for (const path of ['/package.json', '/requests.jsonl', '/firebase.json', '/firestore.rules', '/server/proxy.mjs', '/test/api.test.mjs', '/node_modules/firebase/package.json', '/docs/testing.md', '/.gitignore', '/src/../package.json', '/%2e%2e/etc/passwd']) {
+        assert.equal(await statusOf(path), 404, path);
+    }
+});
+
+test('a malformed path is a bad request', async () => {
+    assert.equal(await statusOf('/%E0%A4%A'), 400);
+});
@@ -0,0 +1,88 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readError, isQuotaError, parseSseEvent, readChatStream, settleFailedReply, ERROR_REPLY, REGENERATE_FAILED } from '../src/responseParser.js';
+
+// A response body that delivers `pieces` one read at a time
+const streamOf = (...pieces) => new ReadableStream({
+    start(controller) {
+        pieces.forEach(piece => controller.enqueue(new TextEncoder().encode(piece)));
+        controller.close();
+    },
+});
+
+test('parses the event name and joins multi-line data', () => {
+    assert.deepEqual(parseSseEvent('data: {"text":"a"}'), { event: 'message', data: '{"text":"a"}' });
+    assert.deepEqual(parseSseEvent('event: done\ndata:{"x":\ndata: 1}'), { event: 'done', data: '{"x":\n1}' });
+});
+
+test('reads a streamed reply split anywhere, with the usage of the done event', async () => {
+    const texts = [];
+    let usage = null;
+    const reply = await readChatStream(streamOf(
+        'data: {"text":"Hel"}\n',
+        '\ndata: {"text":"lo"}\r\n\r\nevent: done\r\ndata: {"provider":"openai","usage":{"promptTokens":3,',
+        '"completionTokens":2}}\n\n',
+    ), { onText: text => texts.push(text), onUsage: value => { usage = value; } });
+
+    assert.equal(reply, 'Hello');
+    assert.deepEqual(texts, ['Hel', 'Hello']);
+    assert.deepEqual(usage, { promptTokens: 3, completionTokens: 2 });
+});
+
+test('a stream that ends without a done event resolves with what arrived', async () => {
+    const reply = await readChatStream(streamOf('data: {"text":"partial"}\n\n'), { onText: () => {} });
+    assert.equal(reply, 'partial');
+});
+
+test('an error event rejects with the server message after the text so far', async () => {
+    const texts = [];
+    await assert.rejects(
+        readChatStream(streamOf('data: {"text":"Hel"}\n\nevent: error\ndata: {"message":"Upstream failed"}\n\n'), { onText: text => texts.push(text) }),
+        { message: 'Upstream failed' },
+    );
+    assert.deepEqual(texts, ['Hel']);
+});
+
+test('reads quota errors with their code and wait', async () => {
+    const response = new Response(JSON.stringify({ error: { message: 'Too many requests', code: 'rate_limited', retryAfter: 30 } }), { status: 429 });
+    const error = await readError(response);
+    assert.equal(error.message, 'Too many requests');
+    assert.equal(error.code, 'rate_limited');
+    assert.equal(error.retryAfter, 30);
+    assert.ok(isQuotaError(error));
+});
+
+test('an error without a JSON body names the status', async () => {
+    const error = await readError(new Response('<html>Bad gateway</html>', { status: 502 }));
+    assert.equal(error.message, 'HTTP error! status: 502');
+    assert.equal(error.status, 502);
+    assert.ok(!isQuotaError(error));
+});
+
+test('a stopped reply keeps its partial text', () => {
+    assert.deepEqual(settleFailedReply(new Error('aborted'), { receivedText: 'Hel', aborted: true }), { text: 'Hel', stopped: true });
+    assert.deepEqual(settleFailedReply(new Error('aborted'), { aborted: true }), { text: '', stopped: true });
+});
+
+test('a quota error leaves no reply and explains itself', () => {
+    const error = Object.assign(new Error('Daily quota used up'), { status: 429 });
+    assert.deepEqual(settleFailedReply(error), { text: '', notice: 'Daily quota used up' });
+});
+
+test('any other failure keeps the partial text or says the AI could not be reached', () => {
+    assert.deepEqual(settleFailedReply(new Error('terminated'), { receivedText: 'Hel' }), { text: 'Hel' });
+    assert.deepEqual(settleFailedReply(new TypeError('fetch failed')), { text: ERROR_REPLY });
+});
+
+test('regenerating over the quota keeps the earlier reply', () => {
+    const error = Object.assign(new Error('Daily quota used up'), { status: 429 });
+    assert.deepEqual(settleFailedReply(error, { replacing: true }), { text: '', keepReplaced: true, notice: 'Daily quota used up' });
+});
+
+test('a failed regeneration keeps the earlier reply, even after part of the new one arrived', () => {
+    assert.deepEqual(settleFailedReply(new Error('terminated'), { receivedText: 'Hel', replacing: true }), { text: '', keepReplaced: true, notice: REGENERATE_FAILED });
+});
+
+test('a regeneration stopped before its first token leaves no reply', () => {
+    assert.deepEqual(settleFailedReply(new Error('aborted'), { aborted: true, replacing: true }), { text: '', stopped: true });
+});
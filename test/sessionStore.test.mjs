@@ -0,0 +1,35 @@
+// The demo-mode store: without IndexedDB (as in Node) it keeps chats in memory only
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { openSessionStore, userDataPath, newSessionFields, createUserMessage } from '../src/sessionStore.js';
+import { testSessionStore } from './helpers/storeContract.mjs';
+
+testSessionStore(() => openSessionStore({ isDemoMode: true }));
+
+test('there is no store until a user is signed in', () => {
+    assert.equal(openSessionStore({ isDemoMode: false, db: null, appId: 'app', userId: 'u1' }), null);
+    assert.equal(openSessionStore({ isDemoMode: false, db: {}, appId: 'app', userId: null }), null);
+});
+
+test("a user's data lives under their own path", () => {
+    assert.equal(userDataPath('app', 'u1'), 'artifacts/app/users/u1');
+});
+
+test('new chats are titled by mode', () => {
+    const now = new Date(2026, 0, 2);
+    assert.deepEqual(newSessionFields({ isDemoMode: true, profileId: 'builtin-concise', now }), {
+        title: 'New Chat (Demo)',
+        profileId: 'builtin-concise',
+        createdAt: now,
+        updatedAt: now,
+    });
+    assert.equal(newSessionFields({ isDemoMode: false, profileId: null, now }).title, `New Chat ${now.toLocaleDateString()}`);
+});
+
+test('user messages get an id and a timestamp', () => {
+    const message = createUserMessage('Hi');
+    assert.equal(message.sender, 'user');
+    assert.equal(message.text, 'Hi');
+    assert.match(message.id, /^[0-9a-f-]{36}$/);
+    assert.ok(!Number.isNaN(Date.parse(message.timestamp)));
+});